@@ -3,37 +3,112 @@
  * Handles all communication with the backend API
  */
 
-const API_BASE_URL = 'http://localhost:8000/api';
+import { BINARY_SLICE_MIME } from './sliceFormat.js';
+import { getWorkerPool } from './workerPool.js';
+import { unpackRows } from './workerTasks.js';
+import { buildCacheKey, getCached, putCached, clearCache } from './dataCache.js';
+import { getBaseUrl, getHealthUrl, getAuthHeaders } from './backendConfig.js';
+import { usesLogin, getAuthHeader, handleUnauthorized } from './auth.js';
+import {
+    validateSlice, validateTrack, validatePOI, validatePOIList,
+    validatePOITypes, validateDates, validateBounds, validateLocation
+} from './schema.js';
+
+// Base URLs of backends that refused binary slices - they get JSON from then on.
+// Kept per backend so switching profiles asks the new server again.
+const jsonOnlyBackends = new Set();
+
+/**
+ * Error thrown by API calls
+ * status is 0 when the backend could not be reached at all
+ */
+export class APIError extends Error {
+    constructor(message, status = 0) {
+        super(message);
+        this.name = 'APIError';
+        this.status = status;
+    }
+    
+    /**
+     * Network failures and server errors are worth retrying, client errors are not.
+     * 401 is retryable too: the request succeeds once the user logs in again.
+     */
+    get isRetryable() {
+        return this.status === 0 || this.status === 401 || this.status >= 500;
+    }
+}
 
 /**
  * Generic fetch wrapper with error handling
  */
 async function fetchAPI(endpoint, options = {}) {
-    const url = `${API_BASE_URL}${endpoint}`;
-    
-    const defaultOptions = {
-        headers: {
-            'Content-Type': 'application/json',
-        },
-    };
-    
-    const mergedOptions = { ...defaultOptions, ...options };
+    // Resolved per call so switching backend profiles takes effect immediately
+    const url = `${getBaseUrl()}${endpoint}`;
     
     try {
-        const response = await fetch(url, mergedOptions);
+        let response = await sendRequest(url, options);
+        
+        // Token expired or revoked - refresh or ask the user to log in, then retry once
+        if (response.status === 401 && usesLogin() && await handleUnauthorized()) {
+            response = await sendRequest(url, options);
+        }
         
         if (!response.ok) {
             const errorData = await response.json().catch(() => ({}));
-            throw new Error(errorData.detail || `HTTP error ${response.status}`);
+            throw new APIError(errorData.detail || `HTTP error ${response.status}`, response.status);
+        }
+        
+        // No Content (e.g. DELETE)
+        if (response.status === 204) {
+            return null;
+        }
+        
+        // Binary payloads are returned raw for the caller to decode
+        if (response.headers.get('Content-Type')?.startsWith(BINARY_SLICE_MIME)) {
+            return await response.arrayBuffer();
         }
         
         return await response.json();
     } catch (error) {
-        console.error(`API Error (${endpoint}):`, error);
+        if (error.name !== 'AbortError') {
+            console.error(`API Error (${endpoint}):`, error);
+        }
         throw error;
     }
 }
 
+/**
+ * Send one request with default, profile and login headers
+ */
+async function sendRequest(url, options) {
+    const defaultOptions = {
+        headers: {
+            'Content-Type': 'application/json',
+        },
+    };
+    
+    const mergedOptions = {
+        ...defaultOptions,
+        ...options,
+        headers: {
+            ...defaultOptions.headers,
+            ...getAuthHeaders(),
+            ...(await getAuthHeader()),
+            ...options.headers
+        }
+    };
+    
+    try {
+        return await fetch(url, mergedOptions);
+    } catch (networkError) {
+        // Cancelled by the caller - pass through untouched
+        if (networkError.name === 'AbortError') {
+            throw networkError;
+        }
+        throw new APIError(`Backend unreachable: ${networkError.message}`);
+    }
+}
+
 /**
  * Build query string from parameters object
  */
@@ -48,37 +123,99 @@ function buildQueryString(params) {
 // ===========================
 // GPR API Functions
 // ===========================
+//
+// Read functions validate responses (see schema.js) and throw SchemaError
+// with the offending fields when the backend returns an unexpected shape.
 
 /**
  * Get list of available dates with GPR data
  */
 export async function getAvailableDates() {
-    return fetchAPI('/gpr/dates');
+    return validateDates(await fetchAPI('/gpr/dates'));
 }
 
 /**
  * Get GPR slice data for the specified parameters
+ * options.signal can be an AbortSignal to cancel the request
+ * options.cache = false skips the local cache
+ *
+ * Survey data does not change once recorded, so cached sections are
+ * returned straight away - also when the backend is unreachable.
  */
-export async function getGPRSlice(params) {
-    const { date, startLat, startLon, endLat, endLon, zoomLevel = 1 } = params;
+export async function getGPRSlice(params, options = {}) {
+    const { date, startLat, startLon, endLat, endLon, lineId = null, zoomLevel = 1 } = params;
     
-    const queryString = buildQueryString({
+    const query = {
         date,
+        line_id: lineId,
         start_lat: startLat,
         start_lon: startLon,
         end_lat: endLat,
         end_lon: endLon,
         zoom_level: zoomLevel
-    });
+    };
     
-    return fetchAPI(`/gpr/slice${queryString}`);
+    const cacheKey = buildCacheKey('slice', { ...query, backend: getBaseUrl() });
+    if (options.cache !== false) {
+        const cached = await getCached(cacheKey);
+        if (cached) return cached;
+    }
+    
+    // Validate before caching so a malformed response is never served again
+    const slice = validateSlice(await fetchGPRSlice(query, options));
+    putCached(cacheKey, 'slice', slice);
+    return slice;
+}
+
+/**
+ * Fetch a slice from the backend
+ * Asks for the binary format first (rows decoded into typed arrays) and
+ * falls back to JSON nested arrays if the backend does not support it.
+ */
+async function fetchGPRSlice(query, options) {
+    const backend = getBaseUrl();
+    if (!jsonOnlyBackends.has(backend)) {
+        try {
+            const result = await fetchAPI(`/gpr/slice${buildQueryString({ ...query, format: 'binary' })}`, {
+                signal: options.signal,
+                headers: { 'Accept': `${BINARY_SLICE_MIME}, application/json` }
+            });
+            
+            // Backend may ignore the format parameter and answer with JSON
+            return result instanceof ArrayBuffer ? await decodeInWorker(result, options.signal) : result;
+        } catch (error) {
+            if (![400, 406, 415].includes(error.status)) {
+                throw error;
+            }
+            
+            // Format rejected - remember and use JSON from now on
+            if (error.status !== 400 || /format/i.test(error.message)) {
+                console.warn('Binary slices not supported by backend, using JSON');
+                jsonOnlyBackends.add(backend);
+            }
+            // Any other 400 may be about the query itself - JSON for this request only
+        }
+    }
+    
+    return fetchAPI(`/gpr/slice${buildQueryString(query)}`, { signal: options.signal });
+}
+
+/**
+ * Decode a binary slice off the main thread (rows come back as views of the transferred buffer)
+ */
+async function decodeInWorker(buffer, signal) {
+    const { samples, ...slice } = await getWorkerPool().run('decodeSlice', buffer, {
+        transfer: [buffer],
+        signal
+    });
+    return { ...slice, data: unpackRows(samples, slice.width, slice.height) };
 }
 
 /**
  * Get data bounds for a specific date
  */
 export async function getDataBounds(date) {
-    return fetchAPI(`/gpr/bounds?date=${encodeURIComponent(date)}`);
+    return validateBounds(await fetchAPI(`/gpr/bounds?date=${encodeURIComponent(date)}`));
 }
 
 // ===========================
@@ -86,18 +223,45 @@ export async function getDataBounds(date) {
 // ===========================
 
 /**
- * Get GPS track for a date
+ * Get GPS track for a date (cached like slices, see getGPRSlice)
+ * Takes the same camelCase params as getGPRSlice; the section and line are optional
+ */
+export async function getGPSTrack(params, options = {}) {
+    const { date, startLat = null, startLon = null, endLat = null, endLon = null, lineId = null } = params;
+    
+    const query = {
+        date,
+        line_id: lineId,
+        start_lat: startLat,
+        start_lon: startLon,
+        end_lat: endLat,
+        end_lon: endLon
+    };
+    
+    const cacheKey = buildCacheKey('track', { ...query, backend: getBaseUrl() });
+    if (options.cache !== false) {
+        const cached = await getCached(cacheKey);
+        if (cached) return cached;
+    }
+    
+    const queryString = buildQueryString(query);
+    const track = validateTrack(await fetchAPI(`/gps/track${queryString}`, { signal: options.signal }));
+    putCached(cacheKey, 'track', track);
+    return track;
+}
+
+/**
+ * Remove all cached slices and tracks
  */
-export async function getGPSTrack(params) {
-    const queryString = buildQueryString(params);
-    return fetchAPI(`/gps/track${queryString}`);
+export async function clearDataCache() {
+    return clearCache();
 }
 
 /**
  * Get location at a specific time
  */
 export async function getLocationAtTime(date, time) {
-    return fetchAPI(`/gps/location-at-time?date=${encodeURIComponent(date)}&time=${encodeURIComponent(time)}`);
+    return validateLocation(await fetchAPI(`/gps/location-at-time?date=${encodeURIComponent(date)}&time=${encodeURIComponent(time)}`));
 }
 
 // ===========================
@@ -117,16 +281,16 @@ export async function createPOI(poiData) {
 /**
  * Get all POIs, optionally filtered
  */
-export async function getPOIs(filters = {}) {
+export async function getPOIs(filters = {}, options = {}) {
     const queryString = buildQueryString(filters);
-    return fetchAPI(`/poi/${queryString}`);
+    return validatePOIList(await fetchAPI(`/poi/${queryString}`, { signal: options.signal }));
 }
 
 /**
  * Get a specific POI by ID
  */
 export async function getPOI(poiId) {
-    return fetchAPI(`/poi/${poiId}`);
+    return validatePOI(await fetchAPI(`/poi/${poiId}`));
 }
 
 /**
@@ -152,7 +316,7 @@ export async function deletePOI(poiId) {
  * Get available POI types
  */
 export async function getPOITypes() {
-    return fetchAPI('/poi/types/list');
+    return validatePOITypes(await fetchAPI('/poi/types/list'));
 }
 
 // ===========================
@@ -160,13 +324,36 @@ export async function getPOITypes() {
 // ===========================
 
 /**
- * Check if backend is reachable
+ * Probe the health endpoint
+ * Returns { reachable, ok, status, latency } - reachable is false on network failure
  */
-export async function checkHealth() {
+export async function pingHealth(timeoutMs = 5000) {
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), timeoutMs);
+    const startTime = performance.now();
+    
     try {
-        const response = await fetch('http://localhost:8000/health');
-        return response.ok;
+        const response = await fetch(getHealthUrl(), {
+            signal: controller.signal,
+            headers: getAuthHeaders()
+        });
+        return {
+            reachable: true,
+            ok: response.ok,
+            status: response.status,
+            latency: performance.now() - startTime
+        };
     } catch {
-        return false;
+        return { reachable: false, ok: false, status: 0, latency: null };
+    } finally {
+        clearTimeout(timer);
     }
 }
+
+/**
+ * Check if backend is reachable
+ */
+export async function checkHealth() {
+    const health = await pingHealth();
+    return health.ok;
+}
@@ -0,0 +1,191 @@
+/**
+ * Authentication Module
+ * Username/password login for backend profiles using auth type 'login':
+ * bearer token storage, refresh before expiry and re-login on 401
+ *
+ * Expected backend endpoints (relative to the profile base URL):
+ *   POST /auth/login    { username, password } -> token response
+ *   POST /auth/refresh  { refresh_token }      -> token response
+ * Token response: { access_token, refresh_token, expires_in (seconds), user: { username, ... } }
+ */
+
+import { getActiveProfile, getBaseUrl } from './backendConfig.js';
+
+const STORAGE_KEY = 'gpr-auth-session';
+
+// Refresh this long before the access token expires
+const REFRESH_MARGIN_MS = 30000;
+
+let session = loadSession();
+let refreshPromise = null;
+let loginPromise = null;
+
+// UI hooks
+let loginPrompt = null;          // () => Promise<boolean>, resolves true once logged in
+let sessionChangeHandler = null; // (user | null) => void
+let loginDeclined = false;       // User cancelled the prompt - don't reopen it from background requests
+
+function loadSession() {
+    try {
+        return JSON.parse(sessionStorage.getItem(STORAGE_KEY));
+    } catch {
+        return null;
+    }
+}
+
+function setSession(newSession) {
+    session = newSession;
+    
+    if (session) {
+        sessionStorage.setItem(STORAGE_KEY, JSON.stringify(session));
+    } else {
+        sessionStorage.removeItem(STORAGE_KEY);
+    }
+    
+    if (sessionChangeHandler) {
+        sessionChangeHandler(getCurrentUser());
+    }
+}
+
+/**
+ * Session for the active profile only - tokens never leak to another backend
+ */
+function activeSession() {
+    return session && session.profile === getActiveProfile().name ? session : null;
+}
+
+function sessionFromTokenResponse(data, previous = null) {
+    return {
+        profile: getActiveProfile().name,
+        accessToken: data.access_token,
+        refreshToken: data.refresh_token || previous?.refreshToken || null,
+        expiresAt: data.expires_in ? Date.now() + data.expires_in * 1000 : null,
+        user: data.user || previous?.user || null
+    };
+}
+
+async function postAuth(endpoint, body) {
+    const response = await fetch(`${getBaseUrl()}${endpoint}`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(body)
+    });
+    
+    if (!response.ok) {
+        const errorData = await response.json().catch(() => ({}));
+        throw new Error(errorData.detail || `Authentication failed (HTTP ${response.status})`);
+    }
+    
+    return response.json();
+}
+
+// ===========================
+// Session
+// ===========================
+
+/**
+ * Whether the active profile authenticates with username/password
+ */
+export function usesLogin(profile = getActiveProfile()) {
+    return profile.auth?.type === 'login';
+}
+
+export function getCurrentUser() {
+    return activeSession()?.user || null;
+}
+
+export async function login(username, password) {
+    const data = await postAuth('/auth/login', { username, password });
+    loginDeclined = false;
+    setSession(sessionFromTokenResponse({ user: { username }, ...data }));
+    return getCurrentUser();
+}
+
+export function logout() {
+    setSession(null);
+}
+
+/**
+ * Exchange the refresh token for a new access token
+ * Concurrent callers share one request; resolves false if refreshing is not possible
+ */
+export async function refreshSession() {
+    const current = activeSession();
+    if (!current?.refreshToken) return false;
+    
+    if (!refreshPromise) {
+        refreshPromise = postAuth('/auth/refresh', { refresh_token: current.refreshToken })
+            .then(data => {
+                setSession(sessionFromTokenResponse(data, current));
+                return true;
+            })
+            .catch(error => {
+                console.warn('Token refresh failed:', error);
+                setSession(null);
+                return false;
+            })
+            .finally(() => {
+                refreshPromise = null;
+            });
+    }
+    
+    return refreshPromise;
+}
+
+/**
+ * Authorization header for the next request, refreshing the token if it is about to expire
+ */
+export async function getAuthHeader() {
+    if (!usesLogin()) return {};
+    
+    let current = activeSession();
+    if (current?.expiresAt && current.expiresAt - Date.now() < REFRESH_MARGIN_MS) {
+        await refreshSession();
+        current = activeSession();
+    }
+    
+    return current ? { 'Authorization': `Bearer ${current.accessToken}` } : {};
+}
+
+/**
+ * Recover from a 401: refresh if possible, otherwise ask the user to log in
+ * Resolves true if the request should be retried
+ */
+export async function handleUnauthorized() {
+    if (await refreshSession()) return true;
+    
+    return promptLogin(false);
+}
+
+/**
+ * Show the login prompt; explicit requests reopen it even after a cancel
+ */
+export async function promptLogin(explicit = true) {
+    if (!loginPrompt) return false;
+    if (loginDeclined && !explicit) return false;
+    
+    if (!loginPromise) {
+        loginPromise = loginPrompt()
+            .then(loggedIn => {
+                loginDeclined = !loggedIn;
+                return loggedIn;
+            })
+            .finally(() => {
+                loginPromise = null;
+            });
+    }
+    
+    return loginPromise;
+}
+
+// ===========================
+// UI Hooks
+// ===========================
+
+export function setLoginPrompt(prompt) {
+    loginPrompt = prompt;
+}
+
+export function setSessionChangeHandler(handler) {
+    sessionChangeHandler = handler;
+}
@@ -0,0 +1,150 @@
+/**
+ * Backend Configuration Module
+ * Named backend profiles (base URL, health path, auth) persisted in localStorage
+ */
+
+const STORAGE_KEY = 'gpr-backend-profiles';
+
+export const DEFAULT_PROFILE = {
+    name: 'Local',
+    baseUrl: 'http://localhost:8000/api',
+    healthPath: '/health', // Resolved against baseUrl, so '/health' is at the server root
+    auth: { type: 'none' } // 'none', 'bearer' or 'apiKey' (token, headerName), or 'login' (see auth.js)
+};
+
+/**
+ * Read stored profiles, falling back to the default local backend
+ */
+function loadState() {
+    try {
+        const stored = JSON.parse(localStorage.getItem(STORAGE_KEY));
+        if (stored?.profiles?.length > 0) {
+            return stored;
+        }
+    } catch (error) {
+        console.warn('Ignoring invalid stored backend profiles:', error);
+    }
+    
+    return { active: DEFAULT_PROFILE.name, profiles: [{ ...DEFAULT_PROFILE }] };
+}
+
+let state = loadState();
+
+function saveState() {
+    try {
+        localStorage.setItem(STORAGE_KEY, JSON.stringify(state));
+    } catch (error) {
+        console.warn('Failed to store backend profiles:', error);
+    }
+}
+
+/**
+ * Check a profile before saving; throws with a message for the settings dialog
+ */
+function validateProfile(profile) {
+    if (!profile.name?.trim()) {
+        throw new Error('Profile name is required');
+    }
+    
+    try {
+        new URL(profile.baseUrl);
+    } catch {
+        throw new Error(`Invalid base URL: ${profile.baseUrl || '(empty)'}`);
+    }
+    
+    const authType = profile.auth?.type || 'none';
+    if ((authType === 'bearer' || authType === 'apiKey') && !profile.auth.token) {
+        throw new Error('A token is required for this authentication type');
+    }
+}
+
+// ===========================
+// Profiles
+// ===========================
+
+export function getProfiles() {
+    return state.profiles.map(profile => ({ ...profile }));
+}
+
+export function getActiveProfile() {
+    return state.profiles.find(p => p.name === state.active) || state.profiles[0];
+}
+
+export function setActiveProfile(name) {
+    if (!state.profiles.some(p => p.name === name)) {
+        throw new Error(`Unknown backend profile: ${name}`);
+    }
+    
+    state.active = name;
+    saveState();
+}
+
+/**
+ * Add a profile (previousName null) or replace/rename an existing one
+ */
+export function saveProfile(profile, previousName = null) {
+    validateProfile(profile);
+    
+    const name = profile.name.trim();
+    if (name !== previousName && state.profiles.some(p => p.name === name)) {
+        throw new Error(`A profile named "${name}" already exists`);
+    }
+    
+    const saved = { ...profile, name };
+    const index = state.profiles.findIndex(p => p.name === previousName);
+    if (index === -1) {
+        state.profiles.push(saved);
+    } else {
+        state.profiles[index] = saved;
+    }
+    
+    if (state.active === previousName) {
+        state.active = name;
+    }
+    
+    saveState();
+    return saved;
+}
+
+export function deleteProfile(name) {
+    if (state.profiles.length <= 1) {
+        throw new Error('At least one backend profile is required');
+    }
+    
+    state.profiles = state.profiles.filter(p => p.name !== name);
+    if (state.active === name) {
+        state.active = state.profiles[0].name;
+    }
+    
+    saveState();
+}
+
+// ===========================
+// Request Helpers
+// ===========================
+
+/**
+ * API base URL of the active profile, without trailing slash
+ */
+export function getBaseUrl(profile = getActiveProfile()) {
+    return profile.baseUrl.replace(/\/+$/, '');
+}
+
+export function getHealthUrl(profile = getActiveProfile()) {
+    return new URL(profile.healthPath || DEFAULT_PROFILE.healthPath, profile.baseUrl).toString();
+}
+
+/**
+ * Headers carrying the profile's static credentials
+ */
+export function getAuthHeaders(profile = getActiveProfile()) {
+    const auth = profile.auth || {};
+    
+    if (auth.type === 'bearer' && auth.token) {
+        return { 'Authorization': `Bearer ${auth.token}` };
+    }
+    if (auth.type === 'apiKey' && auth.token) {
+        return { [auth.headerName || 'X-API-Key']: auth.token };
+    }
+    return {};
+}
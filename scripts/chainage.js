@@ -0,0 +1,132 @@
+/**
+ * Chainage Module
+ * Resolves mile post / chainage positions to coordinates along a GPS track
+ */
+
+export const KM_PER_MILE = 1.609344;
+
+// Length of a degree of latitude (and of longitude at the equator)
+const METRES_PER_DEGREE = 111320;
+
+/**
+ * Convert a distance in the given unit ('mi' or 'km') to miles
+ */
+export function toMiles(distance, unit = 'mi') {
+    return unit === 'km' ? distance / KM_PER_MILE : distance;
+}
+
+/**
+ * Coordinates at a distance along the track, interpolated between the
+ * two track points around it (track points carry cumulative distance_miles)
+ * Returns null if the distance is outside the track
+ */
+export function locateMile(track, mile) {
+    if (!track || track.length === 0) return null;
+    
+    const first = track[0];
+    const last = track[track.length - 1];
+    if (mile < first.distance_miles || mile > last.distance_miles) return null;
+    
+    // Binary search for the first point at or beyond the mile - distance is monotonic
+    let lo = 0;
+    let hi = track.length - 1;
+    while (lo < hi) {
+        const mid = (lo + hi) >> 1;
+        if (track[mid].distance_miles < mile) {
+            lo = mid + 1;
+        } else {
+            hi = mid;
+        }
+    }
+    
+    const after = track[lo];
+    const before = track[Math.max(lo - 1, 0)];
+    const span = after.distance_miles - before.distance_miles;
+    const t = span > 0 ? (mile - before.distance_miles) / span : 0;
+    
+    return {
+        lat: before.lat + (after.lat - before.lat) * t,
+        lon: before.lon + (after.lon - before.lon) * t,
+        distance_miles: mile
+    };
+}
+
+/**
+ * Coordinates at fraction t (0 to 1) of the track's points, interpolated
+ * between neighbours - traces run along the track points the same way
+ */
+export function pointAtFraction(track, t) {
+    if (!track || track.length === 0) return null;
+    if (track.length === 1) return { lat: track[0].lat, lon: track[0].lon };
+    
+    const index = Math.max(0, Math.min(1, t)) * (track.length - 1);
+    const i = Math.min(Math.floor(index), track.length - 2);
+    const f = index - i;
+    return {
+        lat: track[i].lat + (track[i + 1].lat - track[i].lat) * f,
+        lon: track[i].lon + (track[i + 1].lon - track[i].lon) * f
+    };
+}
+
+/**
+ * Closest point on the track polyline to a coordinate
+ * Uses a flat-earth approximation around the coordinate - accurate at track scale.
+ * Returns { lat, lon, distanceM }, or null without a track
+ */
+export function nearestOnTrack(track, lat, lon) {
+    if (!track || track.length === 0) return null;
+    
+    // Local metres east (x) and north (y) of the coordinate
+    const metresPerDegreeLon = METRES_PER_DEGREE * Math.cos(lat * Math.PI / 180);
+    const toXY = point => ({
+        x: (point.lon - lon) * metresPerDegreeLon,
+        y: (point.lat - lat) * METRES_PER_DEGREE
+    });
+    
+    let best = { lat: track[0].lat, lon: track[0].lon, distanceM: Math.hypot(toXY(track[0]).x, toXY(track[0]).y) };
+    for (let i = 0; i < track.length - 1; i++) {
+        const a = toXY(track[i]);
+        const b = toXY(track[i + 1]);
+        const dx = b.x - a.x;
+        const dy = b.y - a.y;
+        const lengthSq = dx * dx + dy * dy;
+        const t = lengthSq > 0 ? Math.max(0, Math.min(1, -(a.x * dx + a.y * dy) / lengthSq)) : 0;
+        
+        const distanceM = Math.hypot(a.x + dx * t, a.y + dy * t);
+        if (distanceM < best.distanceM) {
+            best = {
+                lat: track[i].lat + (track[i + 1].lat - track[i].lat) * t,
+                lon: track[i].lon + (track[i + 1].lon - track[i].lon) * t,
+                distanceM
+            };
+        }
+    }
+    return best;
+}
+
+/**
+ * Resolve a start/end mile range to query coordinates
+ * Throws with a user-facing message if the range is not on the track
+ */
+export function resolveMileRange(track, startMile, endMile) {
+    if (!track || track.length < 2) {
+        throw new Error('No GPS track available to resolve mile posts');
+    }
+    
+    const first = track[0].distance_miles;
+    const last = track[track.length - 1].distance_miles;
+    const start = locateMile(track, startMile);
+    const end = locateMile(track, endMile);
+    
+    if (!start || !end) {
+        const outside = !start ? startMile : endMile;
+        throw new Error(`Mile ${outside.toFixed(2)} is not on the track (miles ${first.toFixed(2)} to ${last.toFixed(2)})`);
+    }
+    
+    return {
+        startLat: start.lat,
+        startLon: start.lon,
+        endLat: end.lat,
+        endLon: end.lon
+    };
+}
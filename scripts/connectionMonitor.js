@@ -0,0 +1,134 @@
+/**
+ * Connection Monitor Module
+ * Polls the backend health endpoint in the background and reports
+ * connected / degraded / offline transitions
+ */
+
+import * as api from './api.js';
+
+// Poll intervals per state
+const CONNECTED_INTERVAL_MS = 15000;
+const DEGRADED_INTERVAL_MS = 10000;
+
+// Offline backoff (doubles on every failed check)
+const OFFLINE_BASE_MS = 2000;
+const OFFLINE_MAX_MS = 60000;
+
+// Health responses slower than this count as degraded
+const DEGRADED_LATENCY_MS = 2000;
+
+export class ConnectionMonitor {
+    constructor() {
+        this.state = 'offline'; // 'connected', 'degraded' or 'offline'
+        this.lastHealth = null;
+        this.hasConnected = false; // Backend seen at least once this session
+        this.hasReported = false;
+        
+        // Polling state
+        this.timer = null;
+        this.offlineAttempt = 0;
+        this.isChecking = false;
+        this.recheckRequested = false; // Asked for while a check was running (e.g. profile switch)
+        
+        // Callbacks
+        this.onStateChange = null;
+        
+        this.handleBrowserOnline = () => this.checkNow();
+    }
+    
+    /**
+     * Run the first check and start polling
+     */
+    async start() {
+        window.addEventListener('online', this.handleBrowserOnline);
+        await this.checkNow();
+    }
+    
+    stop() {
+        window.removeEventListener('online', this.handleBrowserOnline);
+        clearTimeout(this.timer);
+        this.timer = null;
+    }
+    
+    /**
+     * Check immediately instead of waiting for the next poll
+     * During a running check, runs again once it finishes - that result may
+     * belong to the previous backend, so it is not reported.
+     */
+    async checkNow() {
+        if (this.isChecking) {
+            this.recheckRequested = true;
+            return;
+        }
+        this.isChecking = true;
+        clearTimeout(this.timer);
+        
+        try {
+            const health = await api.pingHealth();
+            if (!this.recheckRequested) {
+                this.lastHealth = health;
+                this.setState(this.classify(health));
+            }
+        } finally {
+            this.isChecking = false;
+            if (this.recheckRequested) {
+                this.recheckRequested = false;
+                this.checkNow();
+            } else {
+                this.scheduleNext();
+            }
+        }
+    }
+    
+    isReachable() {
+        return this.state !== 'offline';
+    }
+    
+    /**
+     * Unreachable or failing with a server error (5xx) is offline; any other
+     * error status or a slow answer is degraded
+     */
+    classify(health) {
+        if (!health.reachable || health.status >= 500) return 'offline';
+        if (!health.ok || health.latency > DEGRADED_LATENCY_MS) return 'degraded';
+        return 'connected';
+    }
+    
+    setState(state) {
+        const previous = this.state;
+        this.state = state;
+        
+        if (state === 'offline') {
+            this.offlineAttempt++;
+        } else {
+            this.offlineAttempt = 0;
+        }
+        
+        // Backend came (back) up after at least one failed check
+        const reconnected = this.hasReported && previous === 'offline' && state !== 'offline';
+        if (state !== 'offline') {
+            this.hasConnected = true;
+        }
+        
+        // Always report the first check so the UI leaves its initial state
+        if (state === previous && this.hasReported) return;
+        this.hasReported = true;
+        
+        if (this.onStateChange) {
+            this.onStateChange({ state, previous, reconnected, health: this.lastHealth });
+        }
+    }
+    
+    scheduleNext() {
+        let delay;
+        if (this.state === 'connected') {
+            delay = CONNECTED_INTERVAL_MS;
+        } else if (this.state === 'degraded') {
+            delay = DEGRADED_INTERVAL_MS;
+        } else {
+            delay = Math.min(OFFLINE_BASE_MS * 2 ** (this.offlineAttempt - 1), OFFLINE_MAX_MS);
+        }
+        
+        this.timer = setTimeout(() => this.checkNow(), delay);
+    }
+}
@@ -3,12 +3,36 @@
  * Handles UI controls for zoom, seek, and query form
  */
 
+import { toMiles, KM_PER_MILE, nearestOnTrack } from './chainage.js';
+
+// Query points within this distance of the surveyed track are on it; points up
+// to the snap distance are moved onto it, anything further is rejected as a likely typo
+const TRACK_CORRIDOR_M = 25;
+const TRACK_SNAP_M = 250;
+
+// Without a track: points up to this fraction of the surveyed extent outside it
+// are snapped to the edge
+const BOUNDS_SNAP_TOLERANCE = 0.1;
+
+// Precision of the coordinate inputs (their step attribute)
+const COORD_STEP = 0.0001;
+
+const COORD_LABELS = {
+    startLat: 'Start latitude',
+    startLon: 'Start longitude',
+    endLat: 'End latitude',
+    endLon: 'End longitude'
+};
+
 export class Controls {
     constructor(viewers, mapManager) {
         this.viewers = viewers; // Array of SliceViewer instances [viewer1, viewer2]
         this.mapManager = mapManager;
         this.activeViewer = 'both'; // 'both', 'viewer1', or 'viewer2'
         this.syncViewers = true;
+        this.dataBounds = null; // Surveyed area for the selected date, from the backend
+        this.dataTrack = null; // GPS track of the selected date - query points must lie along it
+        this.queryMode = 'coordinates'; // 'coordinates' or 'mile'
         
         // Element references
         this.elements = {
@@ -38,12 +62,25 @@ export class Controls {
             startLon: document.getElementById('start-lon'),
             endLat: document.getElementById('end-lat'),
             endLon: document.getElementById('end-lon'),
+            queryModeSelect: document.getElementById('query-mode'),
+            coordinateGroups: document.querySelectorAll('.location-group:not(#mile-range-group)'),
+            mileRangeGroup: document.getElementById('mile-range-group'),
+            lineId: document.getElementById('line-id'),
+            startMile: document.getElementById('start-mile'),
+            endMile: document.getElementById('end-mile'),
+            distanceUnit: document.getElementById('distance-unit'),
+            
+            // Live mode
+            liveSource: document.getElementById('live-source'),
+            liveToggle: document.getElementById('live-toggle'),
+            livePause: document.getElementById('live-pause'),
             
             // Info displays
             cursorPosition: document.getElementById('cursor-position'),
             depthDisplay: document.getElementById('depth-display'),
             coordinatesDisplay: document.getElementById('coordinates-display'),
             mileMarker: document.getElementById('mile-marker'),
+            timeDisplay: document.getElementById('time-display'),
             mapCursorCoords: document.getElementById('map-cursor-coords'),
             
             // Track info
@@ -53,10 +90,14 @@ export class Controls {
             // Map controls
             mapFitBounds: document.getElementById('map-fit-bounds'),
             mapToggleMarkers: document.getElementById('map-toggle-markers'),
+            mapSelectSection: document.getElementById('map-select-section'),
+            mapSelectAutoload: document.getElementById('map-select-autoload'),
             
             // Loading/status
             statusMessage: document.getElementById('status-message'),
             connectionStatus: document.getElementById('connection-status'),
+            pendingChanges: document.getElementById('pending-changes'),
+            reloadQueryBtn: document.getElementById('reload-query-btn'),
             
             // Viewer info
             viewer1Info: document.getElementById('viewer1-info'),
@@ -66,12 +107,25 @@ export class Controls {
             placeholder1: document.getElementById('placeholder-1'),
             placeholder2: document.getElementById('placeholder-2'),
             loading1: document.getElementById('loading-overlay-1'),
-            loading2: document.getElementById('loading-overlay-2')
+            loading2: document.getElementById('loading-overlay-2'),
+            loadingMessages: document.querySelectorAll('.loading-message'),
+            loadingProgress: document.querySelectorAll('.loading-progress'),
+            loadingCancelBtns: document.querySelectorAll('.loading-cancel')
         };
         
         // Callbacks
         this.onQuerySubmit = null;
+        this.onDateChange = null;
         this.onLoadSample = null;
+        this.onReloadQuery = null;
+        this.onCancelLoad = null;
+        this.onLiveStart = null;
+        this.onLiveStop = null;
+        this.onLivePause = null;
+        this.onLiveResume = null;
+        
+        // Live stream state, see setLiveState
+        this.liveState = 'stopped';
         
         this.init();
     }
@@ -82,6 +136,7 @@ export class Controls {
         this.setupSeekControls();
         this.setupPOIControls();
         this.setupQueryForm();
+        this.setupLiveControls();
         this.setupMapControls();
         this.setupViewerCallbacks();
         this.setupKeyboardShortcuts();
@@ -166,10 +221,47 @@ export class Controls {
         return this.elements.poiTypeSelect?.value || 'other';
     }
     
+    /**
+     * POI types offered in the dropdown: [{ value, label }]
+     */
+    getPOITypeOptions() {
+        return [...(this.elements.poiTypeSelect?.options || [])].map(option => ({
+            value: option.value,
+            label: option.textContent
+        }));
+    }
+    
     isPOIModeActive() {
         return this.elements.poiModeToggle?.classList.contains('active') || false;
     }
     
+    /**
+     * Replace POI type options (strings or { value, label } objects)
+     */
+    setPOITypes(types) {
+        const select = this.elements.poiTypeSelect;
+        if (!select || !types || types.length === 0) return;
+        
+        const current = select.value;
+        select.innerHTML = '';
+        
+        types.forEach(type => {
+            const value = typeof type === 'string' ? type : type.value;
+            const label = typeof type === 'string'
+                ? type.charAt(0).toUpperCase() + type.slice(1)
+                : (type.label || type.value);
+            
+            const option = document.createElement('option');
+            option.value = value;
+            option.textContent = label;
+            select.appendChild(option);
+        });
+        
+        if ([...select.options].some(option => option.value === current)) {
+            select.value = current;
+        }
+    }
+    
     // ===========================
     // Query Form
     // ===========================
@@ -185,28 +277,161 @@ export class Controls {
                 this.onLoadSample();
             }
         });
+        
+        this.elements.loadingCancelBtns.forEach(btn => {
+            btn.addEventListener('click', () => {
+                if (this.onCancelLoad) {
+                    this.onCancelLoad();
+                }
+            });
+        });
+        
+        this.elements.reloadQueryBtn?.addEventListener('click', () => {
+            if (this.onReloadQuery) {
+                this.onReloadQuery();
+            }
+        });
+        
+        this.elements.dateSelect?.addEventListener('change', () => {
+            if (this.onDateChange) {
+                this.onDateChange(this.elements.dateSelect.value);
+            }
+        });
+        
+        this.elements.queryModeSelect?.addEventListener('change', (e) => {
+            this.setQueryMode(e.target.value);
+        });
     }
     
-    handleQuerySubmit() {
-        const params = {
-            date: this.elements.dateSelect?.value,
-            startLat: parseFloat(this.elements.startLat?.value),
-            startLon: parseFloat(this.elements.startLon?.value),
-            endLat: parseFloat(this.elements.endLat?.value),
-            endLon: parseFloat(this.elements.endLon?.value)
+    /**
+     * Switch between lat/lon and mile post inputs
+     * Fieldsets of the inactive mode are disabled so their required inputs don't block submit
+     */
+    setQueryMode(mode) {
+        this.queryMode = mode;
+        
+        const mileMode = mode === 'mile';
+        this.elements.coordinateGroups.forEach(group => {
+            group.disabled = mileMode;
+            group.classList.toggle('hidden', mileMode);
+        });
+        if (this.elements.mileRangeGroup) {
+            this.elements.mileRangeGroup.disabled = !mileMode;
+            this.elements.mileRangeGroup.classList.toggle('hidden', !mileMode);
+        }
+    }
+    
+    /**
+     * Set the surveyed area (and track, if known) for the selected date and pre-fill its full extent
+     * Uses the track start/end if the backend provides them, otherwise the corners
+     */
+    setDataBounds(bounds, track = null) {
+        this.dataBounds = bounds;
+        this.dataTrack = bounds && track?.length > 1 ? track : null;
+        if (!bounds) return;
+        
+        this.fillQueryCoordinates(
+            { lat: bounds.start_lat ?? bounds.min_lat, lon: bounds.start_lon ?? bounds.min_lon },
+            { lat: bounds.end_lat ?? bounds.max_lat, lon: bounds.end_lon ?? bounds.max_lon }
+        );
+    }
+    
+    /**
+     * Snap query coordinates slightly outside the surveyed area onto it -
+     * onto the track when it is known, else onto the edge of the bounding box
+     * Returns false (after telling the user) if a coordinate is too far out
+     */
+    constrainToBounds(params) {
+        if (this.dataTrack) return this.constrainToTrack(params);
+        if (!this.dataBounds) return true;
+        
+        const { min_lat, max_lat, min_lon, max_lon } = this.dataBounds;
+        const ranges = {
+            startLat: [min_lat, max_lat],
+            startLon: [min_lon, max_lon],
+            endLat: [min_lat, max_lat],
+            endLon: [min_lon, max_lon]
         };
         
-        if (!params.date) {
+        let snapped = false;
+        for (const [key, [min, max]] of Object.entries(ranges)) {
+            const value = params[key];
+            const margin = Math.max((max - min) * BOUNDS_SNAP_TOLERANCE, COORD_STEP);
+            
+            if (value < min - margin || value > max + margin) {
+                this.showError(`${COORD_LABELS[key]} ${value} is outside the surveyed area (${min.toFixed(4)} to ${max.toFixed(4)})`);
+                return false;
+            }
+            
+            const clamped = Math.min(Math.max(value, min), max);
+            if (clamped !== value) {
+                params[key] = clamped;
+                this.elements[key].value = clamped.toFixed(4);
+                
+                // Input rounding alone is not worth mentioning
+                snapped = snapped || Math.abs(clamped - value) > COORD_STEP;
+            }
+        }
+        
+        if (snapped) {
+            this.setStatus('Coordinates outside the surveyed area were snapped to its edge');
+        }
+        return true;
+    }
+    
+    /**
+     * Keep both query points within the corridor along the surveyed track
+     * A diagonal track's bounding box contains ground far off it, so the box alone is not enough.
+     */
+    constrainToTrack(params) {
+        const points = [
+            { latKey: 'startLat', lonKey: 'startLon', name: 'Start point' },
+            { latKey: 'endLat', lonKey: 'endLon', name: 'End point' }
+        ];
+        
+        let snapped = false;
+        for (const { latKey, lonKey, name } of points) {
+            const nearest = nearestOnTrack(this.dataTrack, params[latKey], params[lonKey]);
+            
+            if (nearest.distanceM > TRACK_SNAP_M) {
+                this.showError(`${name} is ${Math.round(nearest.distanceM)} m from the surveyed track (at most ${TRACK_SNAP_M} m)`);
+                return false;
+            }
+            
+            if (nearest.distanceM > TRACK_CORRIDOR_M) {
+                params[latKey] = nearest.lat;
+                params[lonKey] = nearest.lon;
+                this.elements[latKey].value = nearest.lat.toFixed(4);
+                this.elements[lonKey].value = nearest.lon.toFixed(4);
+                snapped = true;
+            }
+        }
+        
+        if (snapped) {
+            this.setStatus('Points off the surveyed track were snapped onto it');
+        }
+        return true;
+    }
+    
+    handleQuerySubmit() {
+        const date = this.elements.dateSelect?.value;
+        
+        if (!date) {
             this.showError('Please select a date');
             return;
         }
         
-        if (isNaN(params.startLat) || isNaN(params.startLon) || 
-            isNaN(params.endLat) || isNaN(params.endLon)) {
-            this.showError('Please enter valid coordinates');
+        // Set by the date calendar for days without survey data
+        if (!this.elements.dateSelect.checkValidity()) {
+            this.showError(this.elements.dateSelect.validationMessage);
             return;
         }
         
+        const params = this.queryMode === 'mile'
+            ? this.readMileRange(date)
+            : this.readCoordinates(date);
+        if (!params) return;
+        
         if (this.onQuerySubmit) {
             this.onQuerySubmit(params);
         }
@@ -225,6 +450,127 @@ export class Controls {
             const visible = this.mapManager?.toggleMarkers();
             this.elements.mapToggleMarkers.classList.toggle('active', visible);
         });
+        
+        this.elements.mapSelectSection?.addEventListener('click', () => {
+            if (this.mapManager?.selectingSection) {
+                this.cancelSectionSelect();
+            } else {
+                this.startSectionSelect();
+            }
+        });
+        
+        if (this.mapManager) {
+            this.mapManager.onSectionStart = (point) => {
+                this.setStatus(`Section start set at mile ${point.distance_miles.toFixed(2)} - click the end point`);
+            };
+            
+            this.mapManager.onSectionSelect = (start, end) => {
+                this.elements.mapSelectSection?.classList.remove('active');
+                this.fillQueryCoordinates(start, end);
+                this.fillMileRange(start.distance_miles, end.distance_miles);
+                
+                const miles = Math.abs(end.distance_miles - start.distance_miles);
+                this.setStatus(`Selected ${miles.toFixed(2)} miles from mile ${start.distance_miles.toFixed(2)} to ${end.distance_miles.toFixed(2)}`);
+                
+                if (this.elements.mapSelectAutoload?.checked) {
+                    this.handleQuerySubmit();
+                }
+            };
+        }
+    }
+    
+    startSectionSelect() {
+        if (!this.mapManager?.startSectionSelect()) {
+            this.setStatus('Pick a surveyed date or load a track first, then click its start and end on the map');
+            return;
+        }
+        
+        this.elements.mapSelectSection?.classList.add('active');
+        this.setStatus('Click the start of the section on the track (Esc to cancel)');
+    }
+    
+    cancelSectionSelect() {
+        this.mapManager?.cancelSectionSelect();
+        this.elements.mapSelectSection?.classList.remove('active');
+        this.setStatus('Section selection cancelled');
+    }
+    
+    /**
+     * Query params from the lat/lon inputs, or null (after telling the user) if invalid
+     */
+    readCoordinates(date) {
+        const params = {
+            date,
+            startLat: parseFloat(this.elements.startLat?.value),
+            startLon: parseFloat(this.elements.startLon?.value),
+            endLat: parseFloat(this.elements.endLat?.value),
+            endLon: parseFloat(this.elements.endLon?.value)
+        };
+        
+        if (isNaN(params.startLat) || isNaN(params.startLon) || 
+            isNaN(params.endLat) || isNaN(params.endLon)) {
+            this.showError('Please enter valid coordinates');
+            return null;
+        }
+        
+        return this.constrainToBounds(params) ? params : null;
+    }
+    
+    /**
+     * Query params from the mile post inputs, distances converted to miles
+     * Coordinates are resolved against the GPS track by the app
+     */
+    readMileRange(date) {
+        const unit = this.elements.distanceUnit?.value || 'mi';
+        const start = parseFloat(this.elements.startMile?.value);
+        const end = parseFloat(this.elements.endMile?.value);
+        
+        if (isNaN(start) || isNaN(end) || start < 0 || end < 0) {
+            this.showError('Please enter a valid start and end mile post');
+            return null;
+        }
+        if (start === end) {
+            this.showError('Start and end mile posts must differ');
+            return null;
+        }
+        
+        return {
+            date,
+            lineId: this.elements.lineId?.value.trim() || null,
+            startMile: toMiles(start, unit),
+            endMile: toMiles(end, unit)
+        };
+    }
+    
+    /**
+     * Put a mile range into the mile post inputs, in the selected unit
+     */
+    fillMileRange(startMile, endMile) {
+        const factor = this.elements.distanceUnit?.value === 'km' ? KM_PER_MILE : 1;
+        if (this.elements.startMile) {
+            this.elements.startMile.value = (startMile * factor).toFixed(3);
+        }
+        if (this.elements.endMile) {
+            this.elements.endMile.value = (endMile * factor).toFixed(3);
+        }
+    }
+    
+    /**
+     * Put two track points into the query form as start and end
+     */
+    fillQueryCoordinates(start, end) {
+        const fill = {
+            startLat: start.lat,
+            startLon: start.lon,
+            endLat: end.lat,
+            endLon: end.lon
+        };
+        
+        Object.entries(fill).forEach(([key, value]) => {
+            if (this.elements[key]) {
+                this.elements[key].value = value.toFixed(4);
+            }
+        });
     }
     
     // ===========================
@@ -282,8 +628,9 @@ export class Controls {
         }
         
         if (this.elements.depthDisplay && position.depth !== undefined) {
-            this.elements.depthDisplay.textContent = 
-                `Depth: ${position.depth.toFixed(2)}m`;
+            this.elements.depthDisplay.textContent = position.twoWayTime !== undefined
+                ? `Depth: ${position.depth.toFixed(2)}m (${position.twoWayTime.toFixed(1)} ns)`
+                : `Depth: ${position.depth.toFixed(2)}m`;
         }
         
         if (this.elements.coordinatesDisplay && position.lat !== undefined) {
@@ -295,6 +642,58 @@ export class Controls {
             this.elements.mileMarker.textContent = 
                 `Mile: ${position.mile.toFixed(2)}`;
         }
+        
+        if (this.elements.timeDisplay && position.timestamp) {
+            this.elements.timeDisplay.textContent = 
+                `Time: ${new Date(position.timestamp).toLocaleTimeString()}`;
+        }
+    }
+    
+    // ===========================
+    // Live Mode
+    // ===========================
+    
+    setupLiveControls() {
+        this.elements.liveToggle?.addEventListener('click', () => {
+            if (this.liveState === 'stopped') {
+                if (this.onLiveStart) {
+                    this.onLiveStart(this.elements.liveSource?.value || 'sse');
+                }
+            } else if (this.onLiveStop) {
+                this.onLiveStop();
+            }
+        });
+        
+        this.elements.livePause?.addEventListener('click', () => {
+            if (this.liveState === 'paused') {
+                if (this.onLiveResume) {
+                    this.onLiveResume();
+                }
+            } else if (this.onLivePause) {
+                this.onLivePause();
+            }
+        });
+    }
+    
+    /**
+     * Reflect the live stream state ('stopped', 'connecting', 'live', 'paused') in the buttons
+     */
+    setLiveState(state) {
+        this.liveState = state;
+        const active = state !== 'stopped';
+        
+        if (this.elements.liveToggle) {
+            this.elements.liveToggle.textContent = active ? '■ Stop' : '● Live';
+            this.elements.liveToggle.classList.toggle('active', active);
+        }
+        if (this.elements.liveSource) {
+            this.elements.liveSource.disabled = active;
+        }
+        if (this.elements.livePause) {
+            this.elements.livePause.classList.toggle('hidden', !active);
+            this.elements.livePause.disabled = state === 'connecting';
+            this.elements.livePause.textContent = state === 'paused' ? '▶ Resume' : '⏸ Pause';
+        }
     }
     
     // ===========================
@@ -324,6 +723,11 @@ export class Controls {
                 case 'ArrowRight':
                     this.getActiveViewers().forEach(v => v?.seekRight());
                     break;
+                case 'Escape':
+                    if (this.mapManager?.selectingSection) {
+                        this.cancelSectionSelect();
+                    }
+                    break;
                 case 's':
                     if (e.ctrlKey) {
                         e.preventDefault();
@@ -340,6 +744,8 @@ export class Controls {
     // ===========================
     
     showLoading(viewerNum = 0) {
+        this.setLoadingProgress(null);
+        
         if (viewerNum === 0 || viewerNum === 1) {
             this.elements.loading1?.classList.remove('hidden');
             this.elements.placeholder1?.classList.add('hidden');
@@ -350,6 +756,26 @@ export class Controls {
         }
     }
     
+    /**
+     * Progress on the loading overlays: fraction 0 to 1, or null for an
+     * indeterminate load; message replaces the default "Loading..."
+     */
+    setLoadingProgress(fraction, message = null) {
+        const known = fraction !== null && fraction !== undefined;
+        const label = message || 'Loading...';
+        const text = known ? `${label} ${Math.round(fraction * 100)}%` : label;
+        
+        this.elements.loadingMessages.forEach(el => {
+            el.textContent = text;
+        });
+        this.elements.loadingProgress.forEach(bar => {
+            bar.classList.toggle('hidden', !known);
+            if (known) {
+                bar.value = fraction;
+            }
+        });
+    }
+    
     hideLoading(viewerNum = 0) {
         if (viewerNum === 0 || viewerNum === 1) {
             this.elements.loading1?.classList.add('hidden');
@@ -364,22 +790,45 @@ export class Controls {
         this.elements.placeholder2?.classList.add('hidden');
     }
     
-    setStatus(message) {
+    showPlaceholders() {
+        this.elements.placeholder1?.classList.remove('hidden');
+        this.elements.placeholder2?.classList.remove('hidden');
+    }
+    
+    setStatus(message, isError = false) {
         if (this.elements.statusMessage) {
             this.elements.statusMessage.textContent = message;
+            this.elements.statusMessage.classList.toggle('error', isError);
         }
     }
     
-    setConnectionStatus(status) {
+    /**
+     * Update connection badge; state is 'connected', 'degraded', 'disconnected' or null
+     */
+    setConnectionStatus(status, state = null) {
         if (this.elements.connectionStatus) {
             this.elements.connectionStatus.textContent = status;
-            this.elements.connectionStatus.classList.remove('connected', 'disconnected');
-            if (status.includes('Connected')) {
+            this.elements.connectionStatus.classList.remove('connected', 'degraded', 'disconnected');
+            if (state) {
+                this.elements.connectionStatus.classList.add(state);
+            } else if (status.includes('Connected')) {
                 this.elements.connectionStatus.classList.add('connected');
             }
         }
     }
     
+    showReloadPrompt(show) {
+        this.elements.reloadQueryBtn?.classList.toggle('hidden', !show);
+    }
+    
+    setPendingChanges(count) {
+        const el = this.elements.pendingChanges;
+        if (!el) return;
+        
+        el.textContent = `⟳ ${count} pending change${count === 1 ? '' : 's'}`;
+        el.classList.toggle('hidden', count === 0);
+    }
+    
     showError(message) {
         alert(message);
     }
@@ -0,0 +1,176 @@
+/**
+ * Data Cache Module
+ * IndexedDB cache for slice and track responses with size limits and LRU eviction
+ */
+
+const DB_NAME = 'gpr-data-cache';
+const DB_VERSION = 1;
+const ENTRIES_STORE = 'entries'; // key -> response
+const INDEX_STORE = 'index';     // key -> { key, kind, size, lastAccess }
+
+// Limits - least recently used entries are evicted beyond these
+const MAX_CACHE_BYTES = 200 * 1024 * 1024;
+const MAX_CACHE_ENTRIES = 300;
+
+let dbPromise = null;
+
+/**
+ * Open the cache database once; resolves to null if IndexedDB is unavailable
+ */
+function openDatabase() {
+    if (dbPromise) return dbPromise;
+    
+    dbPromise = new Promise((resolve) => {
+        if (!window.indexedDB) {
+            resolve(null);
+            return;
+        }
+        
+        const request = indexedDB.open(DB_NAME, DB_VERSION);
+        
+        request.onupgradeneeded = () => {
+            const db = request.result;
+            db.createObjectStore(ENTRIES_STORE);
+            const index = db.createObjectStore(INDEX_STORE, { keyPath: 'key' });
+            index.createIndex('lastAccess', 'lastAccess');
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => {
+            console.warn('Data cache unavailable:', request.error);
+            resolve(null);
+        };
+    });
+    
+    return dbPromise;
+}
+
+function promisify(request) {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+function transactionDone(tx) {
+    return new Promise((resolve, reject) => {
+        tx.oncomplete = () => resolve();
+        tx.onerror = () => reject(tx.error);
+        tx.onabort = () => reject(tx.error);
+    });
+}
+
+/**
+ * Rough in-memory size of a slice or track response in bytes
+ */
+function estimateSize(value) {
+    if (Array.isArray(value?.data)) {
+        const row = value.data[0];
+        const bytesPerValue = ArrayBuffer.isView(row) ? row.BYTES_PER_ELEMENT : 8;
+        return value.data.length * (row?.length || 0) * bytesPerValue;
+    }
+    
+    const points = value?.points || value;
+    if (Array.isArray(points)) {
+        return points.length * 128;
+    }
+    
+    return 1024;
+}
+
+/**
+ * Build a cache key from a kind and its query parameters
+ */
+export function buildCacheKey(kind, params) {
+    const round = (v) => (typeof v === 'number' ? v.toFixed(6) : v);
+    const parts = Object.keys(params)
+        .sort()
+        .filter(key => params[key] !== null && params[key] !== undefined)
+        .map(key => `${key}=${round(params[key])}`);
+    
+    return `${kind}|${parts.join('&')}`;
+}
+
+/**
+ * Get a cached response, or null on miss
+ */
+export async function getCached(key) {
+    const db = await openDatabase();
+    if (!db) return null;
+    
+    try {
+        const tx = db.transaction([ENTRIES_STORE, INDEX_STORE], 'readwrite');
+        const value = await promisify(tx.objectStore(ENTRIES_STORE).get(key));
+        if (value === undefined) return null;
+        
+        // Mark as recently used
+        const indexStore = tx.objectStore(INDEX_STORE);
+        const entry = await promisify(indexStore.get(key));
+        if (entry) {
+            indexStore.put({ ...entry, lastAccess: Date.now() });
+        }
+        
+        return value;
+    } catch (error) {
+        console.warn('Data cache read failed:', error);
+        return null;
+    }
+}
+
+/**
+ * Store a response and evict least recently used entries beyond the limits
+ */
+export async function putCached(key, kind, value) {
+    const db = await openDatabase();
+    if (!db) return;
+    
+    const size = estimateSize(value);
+    if (size > MAX_CACHE_BYTES) return;
+    
+    try {
+        const tx = db.transaction([ENTRIES_STORE, INDEX_STORE], 'readwrite');
+        tx.objectStore(ENTRIES_STORE).put(value, key);
+        tx.objectStore(INDEX_STORE).put({ key, kind, size, lastAccess: Date.now() });
+        await transactionDone(tx);
+        
+        await evict(db);
+    } catch (error) {
+        console.warn('Data cache write failed:', error);
+    }
+}
+
+/**
+ * Remove least recently used entries until the cache fits its limits
+ */
+async function evict(db) {
+    const tx = db.transaction([ENTRIES_STORE, INDEX_STORE], 'readwrite');
+    const indexStore = tx.objectStore(INDEX_STORE);
+    const entries = await promisify(indexStore.index('lastAccess').getAll());
+    
+    let totalBytes = entries.reduce((sum, entry) => sum + entry.size, 0);
+    let count = entries.length;
+    
+    // Oldest first
+    for (const entry of entries) {
+        if (totalBytes <= MAX_CACHE_BYTES && count <= MAX_CACHE_ENTRIES) break;
+        
+        tx.objectStore(ENTRIES_STORE).delete(entry.key);
+        indexStore.delete(entry.key);
+        totalBytes -= entry.size;
+        count--;
+    }
+    
+    await transactionDone(tx);
+}
+
+/**
+ * Remove everything from the cache
+ */
+export async function clearCache() {
+    const db = await openDatabase();
+    if (!db) return;
+    
+    const tx = db.transaction([ENTRIES_STORE, INDEX_STORE], 'readwrite');
+    tx.objectStore(ENTRIES_STORE).clear();
+    tx.objectStore(INDEX_STORE).clear();
+    await transactionDone(tx);
+}
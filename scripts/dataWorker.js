@@ -0,0 +1,25 @@
+/**
+ * Data Worker
+ * Module worker running tasks from workerTasks.js for the worker pool
+ *
+ * Messages in:  { id, task, payload }
+ * Messages out: { ready: true } once loaded, then { id, progress },
+ *               { id, result } or { id, error: { name, message } } per task
+ */
+
+import { TASKS, transferablesOf } from './workerTasks.js';
+
+self.onmessage = async (event) => {
+    const { id, task, payload } = event.data;
+    
+    try {
+        const result = await TASKS[task](payload, (progress) => {
+            self.postMessage({ id, progress });
+        });
+        self.postMessage({ id, result }, transferablesOf(result));
+    } catch (error) {
+        self.postMessage({ id, error: { name: error.name, message: error.message } });
+    }
+};
+
+self.postMessage({ ready: true });
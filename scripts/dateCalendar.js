@@ -0,0 +1,275 @@
+/**
+ * Date Calendar Module
+ * Month calendar under the date input showing which days have survey data,
+ * with per-day survey counts and extents from /gpr/dates
+ */
+
+import * as api from './api.js';
+
+const WEEKDAYS = ['Mo', 'Tu', 'We', 'Th', 'Fr', 'Sa', 'Su'];
+
+function pad(value) {
+    return String(value).padStart(2, '0');
+}
+
+function formatDate(year, month, day) {
+    return `${year}-${pad(month + 1)}-${pad(day)}`;
+}
+
+/**
+ * Normalize a /gpr/dates entry - either a bare date string or
+ * { date, survey_count, total_distance_km, bounds: { min_lat, max_lat, min_lon, max_lon } }
+ */
+function normalizeEntry(entry) {
+    if (typeof entry === 'string') {
+        return { date: entry.slice(0, 10), surveyCount: null, distanceKm: null, bounds: null };
+    }
+    return {
+        date: entry.date.slice(0, 10),
+        surveyCount: entry.survey_count ?? null,
+        distanceKm: entry.total_distance_km ?? null,
+        bounds: entry.bounds || null
+    };
+}
+
+export class DateCalendar {
+    constructor() {
+        // date string -> normalized entry; null until dates have been loaded
+        this.available = null;
+        
+        // Month currently shown
+        const today = new Date();
+        this.viewYear = today.getFullYear();
+        this.viewMonth = today.getMonth();
+        
+        // Element references
+        this.elements = {
+            input: document.getElementById('date-select'),
+            calendar: document.getElementById('date-calendar'),
+            monthLabel: document.getElementById('calendar-month'),
+            prevBtn: document.getElementById('calendar-prev'),
+            nextBtn: document.getElementById('calendar-next'),
+            grid: document.getElementById('calendar-grid'),
+            info: document.getElementById('date-info')
+        };
+        
+        this.init();
+    }
+    
+    init() {
+        this.elements.prevBtn?.addEventListener('click', () => this.shiftMonth(-1));
+        this.elements.nextBtn?.addEventListener('click', () => this.shiftMonth(1));
+        
+        this.elements.grid?.addEventListener('click', (e) => {
+            const day = e.target.closest('.calendar-day');
+            if (day && !day.disabled) {
+                this.selectDate(day.dataset.date);
+            }
+        });
+        
+        // Typed dates move the calendar along
+        this.elements.input?.addEventListener('change', () => {
+            this.showMonthOf(this.elements.input.value);
+            this.update();
+        });
+        
+        this.update();
+    }
+    
+    /**
+     * Fetch available dates from the backend
+     * Resolves false if they could not be loaded (every date stays selectable)
+     */
+    async load() {
+        try {
+            const result = await api.getAvailableDates();
+            const entries = (Array.isArray(result) ? result : result.dates).map(normalizeEntry);
+            
+            this.available = new Map(entries.map(entry => [entry.date, entry]));
+            
+            // Jump to the latest survey if nothing usable is selected yet
+            if (!this.available.has(this.elements.input?.value) && entries.length > 0) {
+                const latest = entries.reduce((a, b) => (a.date > b.date ? a : b));
+                this.showMonthOf(latest.date);
+            }
+            
+            this.update();
+            return true;
+        } catch (error) {
+            console.warn('Failed to load available dates:', error);
+            this.reset();
+            return false;
+        }
+    }
+    
+    /**
+     * Forget loaded dates, e.g. after switching backend
+     */
+    reset() {
+        this.available = null;
+        this.update();
+    }
+    
+    getEntry(date) {
+        return this.available?.get(date) || null;
+    }
+    
+    /**
+     * Whether a date may have data - true for any date while availability is unknown
+     */
+    isAvailable(date) {
+        return !this.available || this.available.has(date);
+    }
+    
+    selectDate(date) {
+        if (!this.elements.input) return;
+        
+        this.elements.input.value = date;
+        this.elements.input.dispatchEvent(new Event('change', { bubbles: true }));
+    }
+    
+    shiftMonth(delta) {
+        const shifted = new Date(this.viewYear, this.viewMonth + delta, 1);
+        this.viewYear = shifted.getFullYear();
+        this.viewMonth = shifted.getMonth();
+        this.render();
+    }
+    
+    showMonthOf(date) {
+        const match = /^(\d{4})-(\d{2})/.exec(date || '');
+        if (match) {
+            this.viewYear = Number(match[1]);
+            this.viewMonth = Number(match[2]) - 1;
+        }
+    }
+    
+    /**
+     * Refresh grid, selection info and input validity
+     */
+    update() {
+        this.updateValidity();
+        this.render();
+        this.renderInfo();
+    }
+    
+    // ===========================
+    // Validity
+    // ===========================
+    
+    /**
+     * Mark the date input invalid for days without data so the query form can't be submitted
+     */
+    updateValidity() {
+        const input = this.elements.input;
+        if (!input) return;
+        
+        const dates = this.available ? [...this.available.keys()].sort() : [];
+        input.min = dates[0] || '';
+        input.max = dates[dates.length - 1] || '';
+        
+        // Availability unknown (sample mode, backend offline) - don't block anything
+        const blocked = this.available && input.value && !this.available.has(input.value);
+        input.setCustomValidity(blocked ? `No survey data on ${input.value}` : '');
+    }
+    
+    // ===========================
+    // Rendering
+    // ===========================
+    
+    render() {
+        const { grid, monthLabel, calendar } = this.elements;
+        if (!grid) return;
+        
+        calendar?.classList.toggle('hidden', !this.available);
+        
+        const first = new Date(this.viewYear, this.viewMonth, 1);
+        if (monthLabel) {
+            monthLabel.textContent = first.toLocaleDateString(undefined, { month: 'long', year: 'numeric' });
+        }
+        
+        grid.innerHTML = '';
+        
+        WEEKDAYS.forEach(name => {
+            const header = document.createElement('span');
+            header.className = 'calendar-weekday';
+            header.textContent = name;
+            grid.appendChild(header);
+        });
+        
+        // Monday-first offset of the 1st
+        const offset = (first.getDay() + 6) % 7;
+        for (let i = 0; i < offset; i++) {
+            grid.appendChild(document.createElement('span'));
+        }
+        
+        const daysInMonth = new Date(this.viewYear, this.viewMonth + 1, 0).getDate();
+        const selected = this.elements.input?.value;
+        
+        for (let day = 1; day <= daysInMonth; day++) {
+            const date = formatDate(this.viewYear, this.viewMonth, day);
+            const entry = this.getEntry(date);
+            
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.className = 'calendar-day';
+            button.dataset.date = date;
+            button.textContent = day;
+            button.disabled = !entry;
+            button.classList.toggle('has-data', !!entry);
+            button.classList.toggle('selected', date === selected);
+            
+            if (entry) {
+                button.title = entry.surveyCount
+                    ? `${entry.surveyCount} survey${entry.surveyCount === 1 ? '' : 's'}`
+                    : 'Survey data available';
+                
+                if (entry.surveyCount > 1) {
+                    const count = document.createElement('span');
+                    count.className = 'day-count';
+                    count.textContent = entry.surveyCount;
+                    button.appendChild(count);
+                }
+            } else {
+                button.title = 'No survey data';
+            }
+            
+            grid.appendChild(button);
+        }
+    }
+    
+    /**
+     * Survey count and extent of the selected day
+     */
+    renderInfo() {
+        const info = this.elements.info;
+        if (!info) return;
+        
+        const date = this.elements.input?.value;
+        const entry = this.getEntry(date);
+        
+        if (!this.available || !date) {
+            info.textContent = '';
+            return;
+        }
+        if (!entry) {
+            info.textContent = 'No survey data on this date';
+            info.classList.add('error');
+            return;
+        }
+        
+        const parts = [];
+        if (entry.surveyCount !== null) {
+            parts.push(`${entry.surveyCount} survey${entry.surveyCount === 1 ? '' : 's'}`);
+        }
+        if (entry.distanceKm !== null) {
+            parts.push(`${entry.distanceKm.toFixed(1)} km`);
+        }
+        if (entry.bounds) {
+            const { min_lat, max_lat, min_lon, max_lon } = entry.bounds;
+            parts.push(`${min_lat.toFixed(4)}, ${min_lon.toFixed(4)} → ${max_lat.toFixed(4)}, ${max_lon.toFixed(4)}`);
+        }
+        
+        info.textContent = parts.length > 0 ? parts.join(' · ') : 'Survey data available';
+        info.classList.remove('error');
+    }
+}
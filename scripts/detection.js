@@ -0,0 +1,329 @@
+/**
+ * Detection Module
+ * Finds likely buried objects in a slice: hyperbolic reflections from point
+ * targets (culverts, pipes) and diffuse void signatures, ranked by confidence
+ *
+ * Horizontal layering is removed first (each row minus its median), leaving
+ * an anomaly map. Hyperbolas are found by summing the anomaly along both
+ * flanks of a hyperbola hung from every candidate apex; voids by the mean
+ * anomaly over a void-sized box. Both scores are scaled by their own spread
+ * over the slice, so the confidence doesn't depend on the data's units.
+ */
+
+import { SPEED_OF_LIGHT_M_PER_NS } from './velocity.js';
+import { median } from './rows.js';
+
+// Velocities (m/ns) scanned for hyperbolas when the trace spacing is known -
+// dry to wet ballast and soil
+const SCAN_VELOCITIES = [0.06, 0.08, 0.1, 0.12, 0.15];
+
+// Hyperbola flank steepness (samples per trace) scanned when it isn't
+const DEFAULT_SCALES = [0.5, 1, 1.5, 2.5, 4];
+
+// Flank length scanned either side of an apex, in traces
+const FLANK_TRACES = 24;
+
+// Samples above and below a flank where a thin reflection should have faded -
+// comparing against them keeps filled regions (voids) from scoring as hyperbolas
+const FLANK_CONTRAST_OFFSET = 5;
+
+// Void box half-size: traces either side, samples above and below
+const VOID_HALF_TRACES = 15;
+const VOID_HALF_SAMPLES = 7;
+
+// Candidates closer than this (traces, samples) to a stronger one are dropped
+const HYPERBOLA_SEPARATION = [12, 10];
+const VOID_SEPARATION = [25, 15];
+
+// Scores (in spreads above the slice median) mapping to confidence 0 and 1 -
+// flank sums stand out far more sharply than box means, so each has its own.
+// Calibrated on full-resolution mock surveys (mockData.js: the default scenario,
+// seeds 7, 11, 42 and 99 with noise 30-45, and a random target layout), where
+// true hyperbolas scored 20-95 against at most 27 for false ones, and true voids
+// 6-17 against mostly 5-9, so the default 20% threshold drops most false ones
+const HYPERBOLA_SCORES = [15, 65];
+const VOID_SCORES = [6, 16];
+
+/**
+ * Hyperbola flank steepness in samples per trace for the scanned velocities
+ * geometry: { traceSpacingM, sampleIntervalNs } (see velocity.js); null -> defaults
+ */
+export function hyperbolaScales(geometry) {
+    if (!geometry?.traceSpacingM || !geometry?.sampleIntervalNs) {
+        return DEFAULT_SCALES;
+    }
+    return SCAN_VELOCITIES
+        .filter(velocity => velocity < SPEED_OF_LIGHT_M_PER_NS)
+        .map(velocity => 2 * geometry.traceSpacingM / (velocity * geometry.sampleIntervalNs));
+}
+
+/**
+ * Scan rows (data[sample][column]) for targets
+ * options:
+ *   xCoords     trace position of each column (decimated or stitched slices)
+ *   timeZero    surface sample - hyperbolas are hung from it
+ *   scales      flank steepness to try, samples per trace (see hyperbolaScales)
+ *   minConfidence  drop weaker candidates (0 to 1)
+ * Returns [{ shape: 'hyperbola' | 'void', type, slice_x, slice_y, confidence, score }]
+ * sorted by confidence, strongest first
+ */
+export function detectTargets(rows, { xCoords = null, timeZero = 0, scales = DEFAULT_SCALES, minConfidence = 0.2 } = {}) {
+    const height = rows.length;
+    const width = rows[0]?.length || 0;
+    if (width < 3 || height < 3) return [];
+    
+    const positions = xCoords || Array.from({ length: width }, (_, i) => i);
+    const columnStep = medianStep(positions);
+    
+    const anomaly = anomalyMap(rows);
+    const smoothed = smoothVertically(anomaly, width, height);
+    
+    const hyperbolas = findPeaks(
+        standardize(hyperbolaScores(smoothed, width, height, { timeZero, scales, columnStep })),
+        width,
+        [Math.ceil(HYPERBOLA_SEPARATION[0] / columnStep), HYPERBOLA_SEPARATION[1]],
+        HYPERBOLA_SCORES[0]
+    );
+    
+    // Hyperbola apexes fill a void-sized box too - keep voids away from them
+    const voidSeparation = [Math.ceil(VOID_SEPARATION[0] / columnStep), VOID_SEPARATION[1]];
+    const voids = findPeaks(
+        standardize(voidScores(anomaly, width, height, columnStep)),
+        width,
+        voidSeparation,
+        VOID_SCORES[0]
+    ).filter(candidate => !hyperbolas.some(h =>
+        Math.abs(h.x - candidate.x) <= voidSeparation[0] &&
+        Math.abs(h.y - candidate.y) <= voidSeparation[1]));
+    
+    return [
+        ...hyperbolas.map(peak => toCandidate(peak, 'hyperbola', 'anomaly', positions, HYPERBOLA_SCORES)),
+        ...voids.map(peak => toCandidate(peak, 'void', 'void', positions, VOID_SCORES))
+    ]
+        .filter(candidate => candidate.confidence >= minConfidence)
+        .sort((a, b) => b.confidence - a.confidence);
+}
+
+/**
+ * Compare candidates with known targets (e.g. mockData ground truth)
+ * A candidate matches an unmatched target of the same shape within tolerance.
+ * Vertical targets are skipped - the detector doesn't look for them.
+ * Returns { matched, missed, falsePositives, precision, recall }
+ */
+export function scoreDetections(candidates, targets, { toleranceTraces = 10, toleranceSamples = 8 } = {}) {
+    const expected = targets.filter(target => target.shape !== 'vertical');
+    const unmatched = new Set(expected);
+    let matched = 0;
+    
+    candidates.forEach(candidate => {
+        const hit = [...unmatched].find(target =>
+            (target.shape === 'void') === (candidate.shape === 'void') &&
+            Math.abs(target.slice_x - candidate.slice_x) <= toleranceTraces &&
+            Math.abs(target.slice_y - candidate.slice_y) <= toleranceSamples);
+        if (hit) {
+            unmatched.delete(hit);
+            matched++;
+        }
+    });
+    
+    return {
+        matched,
+        missed: unmatched.size,
+        falsePositives: candidates.length - matched,
+        precision: candidates.length > 0 ? matched / candidates.length : 0,
+        recall: expected.length > 0 ? matched / expected.length : 0
+    };
+}
+
+// ===========================
+// Scores
+// ===========================
+
+/**
+ * |sample - row median| minus the overall median: flat layering and the
+ * noise floor go to about zero, targets stay positive
+ */
+function anomalyMap(rows) {
+    const height = rows.length;
+    const width = rows[0].length;
+    const map = new Float32Array(width * height);
+    
+    rows.forEach((row, y) => {
+        const level = median(row);
+        for (let x = 0; x < width; x++) {
+            map[y * width + x] = Math.abs(row[x] - level);
+        }
+    });
+    
+    const floor = median(map);
+    for (let i = 0; i < map.length; i++) {
+        map[i] -= floor;
+    }
+    return map;
+}
+
+/**
+ * [1, 2, 1] smoothing down each trace, so a pick a sample off still counts
+ */
+function smoothVertically(map, width, height) {
+    const out = new Float32Array(map.length);
+    for (let y = 0; y < height; y++) {
+        const above = Math.max(0, y - 1) * width;
+        const below = Math.min(height - 1, y + 1) * width;
+        for (let x = 0; x < width; x++) {
+            out[y * width + x] = (map[above + x] + 2 * map[y * width + x] + map[below + x]) / 4;
+        }
+    }
+    return out;
+}
+
+/**
+ * Per apex: the best over scales of the weaker flank's mean contrast (anomaly
+ * on the flank minus just above and below it)
+ * Taking the weaker flank rejects one-sided features like dipping layers.
+ */
+function hyperbolaScores(map, width, height, { timeZero, scales, columnStep }) {
+    const scores = new Float32Array(width * height).fill(-Infinity);
+    const flank = Math.max(3, Math.ceil(FLANK_TRACES / columnStep));
+    const minValid = Math.ceil(flank / 2);
+    const top = Math.max(0, Math.ceil(timeZero) + 1);
+    const offset = FLANK_CONTRAST_OFFSET;
+    
+    // Anomaly on a row minus the mean of the rows `offset` above and below
+    const contrast = (y, x) => map[y * width + x]
+        - (map[Math.max(0, y - offset) * width + x] + map[Math.min(height - 1, y + offset) * width + x]) / 2;
+    
+    scales.forEach(scale => {
+        const step = scale * columnStep;
+        
+        for (let y0 = top; y0 < height; y0++) {
+            // Rows of the flank at each column offset from this apex depth
+            const depth = y0 - timeZero;
+            const flankRows = new Int32Array(flank + 1);
+            for (let k = 1; k <= flank; k++) {
+                flankRows[k] = Math.round(timeZero + Math.sqrt(depth * depth + (k * step) * (k * step)));
+            }
+            
+            for (let x0 = 0; x0 < width; x0++) {
+                let left = 0;
+                let right = 0;
+                let leftCount = 0;
+                let rightCount = 0;
+                
+                for (let k = 1; k <= flank; k++) {
+                    const y = flankRows[k];
+                    if (y >= height) break;
+                    if (x0 - k >= 0) {
+                        left += contrast(y, x0 - k);
+                        leftCount++;
+                    }
+                    if (x0 + k < width) {
+                        right += contrast(y, x0 + k);
+                        rightCount++;
+                    }
+                }
+                if (leftCount < minValid || rightCount < minValid) continue;
+                
+                const apex = contrast(y0, x0);
+                const score = Math.min(left / leftCount, right / rightCount) + apex / flank;
+                const index = y0 * width + x0;
+                if (score > scores[index]) {
+                    scores[index] = score;
+                }
+            }
+        }
+    });
+    return scores;
+}
+
+/**
+ * Mean anomaly over a void-sized box around every point (summed-area table)
+ */
+function voidScores(map, width, height, columnStep) {
+    const halfX = Math.max(2, Math.ceil(VOID_HALF_TRACES / columnStep));
+    const halfY = VOID_HALF_SAMPLES;
+    
+    const table = new Float64Array((width + 1) * (height + 1));
+    for (let y = 0; y < height; y++) {
+        let rowSum = 0;
+        for (let x = 0; x < width; x++) {
+            rowSum += map[y * width + x];
+            table[(y + 1) * (width + 1) + x + 1] = table[y * (width + 1) + x + 1] + rowSum;
+        }
+    }
+    
+    const scores = new Float32Array(width * height).fill(-Infinity);
+    for (let y = halfY; y < height - halfY; y++) {
+        for (let x = halfX; x < width - halfX; x++) {
+            const x1 = x - halfX;
+            const x2 = x + halfX + 1;
+            const y1 = y - halfY;
+            const y2 = y + halfY + 1;
+            const sum = table[y2 * (width + 1) + x2] - table[y1 * (width + 1) + x2]
+                - table[y2 * (width + 1) + x1] + table[y1 * (width + 1) + x1];
+            scores[y * width + x] = sum / ((x2 - x1) * (y2 - y1));
+        }
+    }
+    return scores;
+}
+
+/**
+ * Scores as robust z values: (score - median) / (1.4826 x median absolute deviation)
+ * Points without a score stay at -Infinity.
+ */
+function standardize(scores) {
+    const valid = scores.filter(Number.isFinite);
+    if (valid.length === 0) return scores;
+    
+    const center = median(valid);
+    const spread = 1.4826 * median(valid.map(value => Math.abs(value - center))) || 1;
+    return scores.map(value => (value - center) / spread);
+}
+
+/**
+ * Points scoring at least minScore, strongest first, skipping any within
+ * `separation` of a kept one
+ */
+function findPeaks(scores, width, [separationX, separationY], minScore) {
+    const order = [];
+    for (let i = 0; i < scores.length; i++) {
+        if (scores[i] >= minScore) order.push(i);
+    }
+    order.sort((a, b) => scores[b] - scores[a]);
+    
+    const peaks = [];
+    order.forEach(index => {
+        const x = index % width;
+        const y = Math.floor(index / width);
+        if (peaks.some(p => Math.abs(p.x - x) <= separationX && Math.abs(p.y - y) <= separationY)) return;
+        peaks.push({ x, y, score: scores[index] });
+    });
+    return peaks;
+}
+
+function toCandidate(peak, shape, type, positions, [scoreMin, scoreFull]) {
+    return {
+        shape,
+        type,
+        slice_x: positions[peak.x],
+        slice_y: peak.y,
+        confidence: Math.min(1, Math.max(0, (peak.score - scoreMin) / (scoreFull - scoreMin))),
+        score: peak.score
+    };
+}
+
+// ===========================
+// Helpers
+// ===========================
+
+/**
+ * Typical spacing of column positions (1 for a full-resolution slice)
+ */
+function medianStep(positions) {
+    if (positions.length < 2) return 1;
+    const steps = [];
+    for (let i = 1; i < positions.length; i++) {
+        steps.push(positions[i] - positions[i - 1]);
+    }
+    return Math.max(1, median(steps));
+}
@@ -0,0 +1,319 @@
+/**
+ * Filters Module
+ * Frequency-domain filters for GPR slices: a vertical bandpass applied to
+ * each trace and a 2-D FK (frequency-wavenumber) dip filter over the slice
+ *
+ * Like the steps in processing.js, filters take rows of depth samples
+ * (data[sample][trace]) and return new Float32Array rows.
+ */
+
+import { createRows } from './rows.js';
+
+// Typical wave velocity in ballast, used to estimate the sample interval when
+// the slice doesn't state it: two-way time over the depth range
+export const DEFAULT_VELOCITY_M_PER_NS = 0.1;
+
+// Used when the metadata has no antenna frequency
+export const DEFAULT_ANTENNA_MHZ = 400;
+
+// Traces averaged for a spectrum preview - more adds time, not detail
+const SPECTRUM_MAX_TRACES = 256;
+
+// ===========================
+// Sampling
+// ===========================
+
+/**
+ * Antenna centre frequency in MHz from metadata, e.g. 400 or '400 MHz (simulated)'
+ * Returns null when it can't be read
+ */
+export function parseAntennaFrequency(value) {
+    if (typeof value === 'number') {
+        return value > 0 ? value : null;
+    }
+    
+    const match = /([\d.]+)\s*(MHz|GHz)/i.exec(value || '');
+    if (!match) return null;
+    
+    const frequency = parseFloat(match[1]) * (match[2].toLowerCase() === 'ghz' ? 1000 : 1);
+    return frequency > 0 ? frequency : null;
+}
+
+/**
+ * Time sampling of a slice:
+ * { sampleIntervalNs, intervalKnown, nyquistMHz, antennaMHz, antennaKnown }
+ */
+export function getSampling(metadata = {}, height) {
+    const intervalKnown = metadata.sample_interval_ns > 0;
+    let sampleIntervalNs = metadata.sample_interval_ns;
+    if (!intervalKnown) {
+        const [minDepth, maxDepth] = metadata.depth_range_m || metadata.depthRange || [0, 5];
+        sampleIntervalNs = (2 * (maxDepth - minDepth) / DEFAULT_VELOCITY_M_PER_NS) / Math.max(1, height);
+    }
+    
+    const antennaMHz = parseAntennaFrequency(metadata.antenna_frequency);
+    
+    return {
+        sampleIntervalNs,
+        intervalKnown,
+        nyquistMHz: 500 / sampleIntervalNs, // 1 / (2 dt), with dt in ns
+        antennaMHz: antennaMHz ?? DEFAULT_ANTENNA_MHZ,
+        antennaKnown: antennaMHz !== null
+    };
+}
+
+/**
+ * Bandpass corners in MHz: the low and high factors times the antenna frequency,
+ * kept below Nyquist
+ */
+export function bandpassCorners({ low, high }, sampling) {
+    if (!sampling) {
+        throw new Error('Bandpass needs the slice sampling');
+    }
+    const lowMHz = low * sampling.antennaMHz;
+    const highMHz = Math.min(high * sampling.antennaMHz, sampling.nyquistMHz);
+    
+    if (!(lowMHz < highMHz)) {
+        throw new Error(`Bandpass low corner (${lowMHz.toFixed(0)} MHz) must be below the high corner (${highMHz.toFixed(0)} MHz)`);
+    }
+    return { lowMHz, highMHz };
+}
+
+// ===========================
+// Filters
+// ===========================
+
+/**
+ * Vertical bandpass per trace with cosine tapers below the low corner and
+ * above the high one - removes low-frequency drift and high-frequency noise
+ */
+export function bandpass(rows, params, sampling) {
+    const height = rows.length;
+    const width = rows[0]?.length || 0;
+    const { lowMHz, highMHz } = bandpassCorners(params, sampling);
+    
+    // Padded to twice the trace so the filter doesn't wrap the end onto the start
+    const n = nextPowerOfTwo(height * 2);
+    const binMHz = 1000 / (n * sampling.sampleIntervalNs);
+    const gains = new Float64Array(n);
+    for (let i = 0; i < n; i++) {
+        gains[i] = passbandGain(Math.min(i, n - i) * binMHz, lowMHz, highMHz);
+    }
+    
+    const out = createRows(height, width);
+    const re = new Float64Array(n);
+    const im = new Float64Array(n);
+    
+    for (let x = 0; x < width; x++) {
+        re.fill(0);
+        im.fill(0);
+        for (let y = 0; y < height; y++) {
+            re[y] = rows[y][x];
+        }
+        
+        fft(re, im, false);
+        for (let i = 0; i < n; i++) {
+            re[i] *= gains[i];
+            im[i] *= gains[i];
+        }
+        fft(re, im, true);
+        
+        for (let y = 0; y < height; y++) {
+            out[y][x] = re[y];
+        }
+    }
+    return out;
+}
+
+/**
+ * FK dip filter: an event dipping p samples per trace lies along k = p * f,
+ * so energy is kept or rejected by its dip |k| / |f|
+ *   reject-flat:  removes horizontal banding and ringing (dip below the cutoff)
+ *   reject-steep: removes steep noise, keeping layers (dip above the cutoff)
+ * The cutoff tapers over one to two times the dip.
+ */
+export function fkFilter(rows, { mode, dip }) {
+    const height = rows.length;
+    const width = rows[0]?.length || 0;
+    const nt = nextPowerOfTwo(height);
+    const nx = nextPowerOfTwo(width);
+    
+    // Spectrum stored row by row: index = t * nx + x
+    const re = new Float64Array(nt * nx);
+    const im = new Float64Array(nt * nx);
+    for (let y = 0; y < height; y++) {
+        re.set(rows[y], y * nx);
+    }
+    
+    transformRows(re, im, nt, nx, height, false);
+    transformColumns(re, im, nt, nx, false);
+    
+    for (let t = 0; t < nt; t++) {
+        const f = Math.abs(t <= nt / 2 ? t : t - nt) / nt;
+        for (let x = 0; x < nx; x++) {
+            const k = Math.abs(x <= nx / 2 ? x : x - nx) / nx;
+            const pass = dipRamp(f === 0 ? (k === 0 ? 0 : Infinity) : k / f, dip);
+            const weight = mode === 'reject-steep' ? 1 - pass : pass;
+            re[t * nx + x] *= weight;
+            im[t * nx + x] *= weight;
+        }
+    }
+    
+    transformColumns(re, im, nt, nx, true);
+    transformRows(re, im, nt, nx, height, true);
+    
+    const out = createRows(height, width);
+    for (let y = 0; y < height; y++) {
+        out[y].set(re.subarray(y * nx, y * nx + width));
+    }
+    return out;
+}
+
+/**
+ * Mean amplitude spectrum of the traces, from 0 up to Nyquist
+ * Returns { frequencies: MHz, amplitude }; wide slices are sampled every few traces
+ */
+export function traceSpectrum(rows, sampling) {
+    const height = rows.length;
+    const width = rows[0]?.length || 0;
+    const n = nextPowerOfTwo(height);
+    const bins = n / 2 + 1;
+    const binMHz = 1000 / (n * sampling.sampleIntervalNs);
+    
+    const sum = new Float64Array(bins);
+    const re = new Float64Array(n);
+    const im = new Float64Array(n);
+    const stride = Math.max(1, Math.ceil(width / SPECTRUM_MAX_TRACES));
+    
+    for (let x = 0; x < width; x += stride) {
+        // Remove the trace mean so the DC bin doesn't dwarf the rest
+        let mean = 0;
+        for (let y = 0; y < height; y++) mean += rows[y][x];
+        mean /= height;
+        
+        re.fill(0);
+        im.fill(0);
+        for (let y = 0; y < height; y++) {
+            re[y] = rows[y][x] - mean;
+        }
+        fft(re, im, false);
+        for (let i = 0; i < bins; i++) {
+            sum[i] += Math.hypot(re[i], im[i]);
+        }
+    }
+    
+    const count = Math.ceil(width / stride);
+    return {
+        frequencies: Array.from({ length: bins }, (_, i) => i * binMHz),
+        amplitude: Array.from(sum, value => value / count)
+    };
+}
+
+// ===========================
+// Helpers
+// ===========================
+
+function nextPowerOfTwo(n) {
+    let size = 1;
+    while (size < n) size *= 2;
+    return size;
+}
+
+/**
+ * Raised-cosine step from 0 at edge0 to 1 at edge1
+ */
+function cosineRamp(value, edge0, edge1) {
+    if (value <= edge0) return 0;
+    if (value >= edge1) return 1;
+    return 0.5 - 0.5 * Math.cos(Math.PI * (value - edge0) / (edge1 - edge0));
+}
+
+function passbandGain(frequency, lowMHz, highMHz) {
+    return cosineRamp(frequency, lowMHz / 2, lowMHz) * (1 - cosineRamp(frequency, highMHz, highMHz * 1.25));
+}
+
+/**
+ * 0 for dips well below the cutoff, 1 above twice the cutoff
+ */
+function dipRamp(dip, cutoff) {
+    return cutoff > 0 ? cosineRamp(dip, cutoff, cutoff * 2) : 1;
+}
+
+/**
+ * In-place radix-2 FFT; n must be a power of two
+ * The inverse is scaled by 1/n so a round trip returns the input.
+ */
+function fft(re, im, inverse) {
+    const n = re.length;
+    
+    // Bit-reversal permutation
+    for (let i = 1, j = 0; i < n; i++) {
+        let bit = n >> 1;
+        for (; j & bit; bit >>= 1) j ^= bit;
+        j ^= bit;
+        if (i < j) {
+            [re[i], re[j]] = [re[j], re[i]];
+            [im[i], im[j]] = [im[j], im[i]];
+        }
+    }
+    
+    for (let size = 2; size <= n; size *= 2) {
+        const angle = (inverse ? 2 : -2) * Math.PI / size;
+        const stepRe = Math.cos(angle);
+        const stepIm = Math.sin(angle);
+        const half = size / 2;
+        
+        for (let start = 0; start < n; start += size) {
+            let wRe = 1;
+            let wIm = 0;
+            for (let k = 0; k < half; k++) {
+                const a = start + k;
+                const b = a + half;
+                const tRe = re[b] * wRe - im[b] * wIm;
+                const tIm = re[b] * wIm + im[b] * wRe;
+                re[b] = re[a] - tRe;
+                im[b] = im[a] - tIm;
+                re[a] += tRe;
+                im[a] += tIm;
+                
+                const nextRe = wRe * stepRe - wIm * stepIm;
+                wIm = wRe * stepIm + wIm * stepRe;
+                wRe = nextRe;
+            }
+        }
+    }
+    
+    if (inverse) {
+        for (let i = 0; i < n; i++) {
+            re[i] /= n;
+            im[i] /= n;
+        }
+    }
+}
+
+/**
+ * FFT of the first `count` rows of a row-major nt x nx grid
+ * (rows past the data are all zero, so transforming them changes nothing)
+ */
+function transformRows(re, im, nt, nx, count, inverse) {
+    for (let t = 0; t < count; t++) {
+        fft(re.subarray(t * nx, (t + 1) * nx), im.subarray(t * nx, (t + 1) * nx), inverse);
+    }
+}
+
+function transformColumns(re, im, nt, nx, inverse) {
+    const colRe = new Float64Array(nt);
+    const colIm = new Float64Array(nt);
+    
+    for (let x = 0; x < nx; x++) {
+        for (let t = 0; t < nt; t++) {
+            colRe[t] = re[t * nx + x];
+            colIm[t] = im[t * nx + x];
+        }
+        fft(colRe, colIm, inverse);
+        for (let t = 0; t < nt; t++) {
+            re[t * nx + x] = colRe[t];
+            im[t * nx + x] = colIm[t];
+        }
+    }
+}
@@ -0,0 +1,318 @@
+/**
+ * Live Stream Module
+ * Subscribes to live acquisition data (new traces and GPS fixes) over
+ * WebSocket or Server-Sent Events, or from the local mock generator
+ *
+ * Stream messages (JSON, one per WebSocket message / SSE event):
+ *   { type: 'meta', height, depth_range_m, ... }     - sent once on connect
+ *   { type: 'trace', trace_index, samples: [...], gps: { lat, lon, distance_miles, timestamp } | null }
+ *   { type: 'gps', lat, lon, distance_miles, timestamp } - fix without a trace
+ *
+ * Both transports carry the active profile's credentials like REST calls do:
+ * SSE is read with fetch so it can send the auth headers; browsers cannot set
+ * WebSocket headers, so the token goes in the query string (access_token, or
+ * api_key for API keys).
+ */
+
+import { getBaseUrl, getAuthHeaders } from './backendConfig.js';
+import { usesLogin, getAuthHeader, handleUnauthorized } from './auth.js';
+import { startMockLiveStream } from './mockData.js';
+
+const STREAM_PATH = '/live/stream';
+
+// Deliver buffered traces to the viewers at most this often
+const FLUSH_INTERVAL_MS = 250;
+
+// Keep at most this many traces while paused - older ones are dropped
+const MAX_BUFFERED_TRACES = 10000;
+
+export class LiveStream {
+    constructor() {
+        // 'stopped', 'connecting', 'live' or 'paused'
+        this.state = 'stopped';
+        this.transport = null;
+        
+        // Active connection (WebSocket, or { close } for SSE) or mock stop function
+        this.socket = null;
+        this.stopMock = null;
+        
+        // Received but not yet delivered
+        this.traceBuffer = [];
+        this.fixBuffer = [];
+        this.flushTimer = null;
+        
+        // Callbacks
+        this.onMeta = null;       // (meta) => void
+        this.onData = null;       // ({ traces: [{ index, samples }], fixes: [...] }) => void
+        this.onStateChange = null;
+        this.onError = null;
+    }
+    
+    /**
+     * Start streaming; transport is 'sse' (what the mock server serves), 'websocket' or 'mock'
+     */
+    start(transport = 'sse') {
+        this.stop();
+        this.transport = transport;
+        this.setState('connecting');
+        
+        if (transport === 'mock') {
+            this.setState('live');
+            this.stopMock = startMockLiveStream((message) => this.handleMessage(message));
+        } else {
+            this.connect();
+        }
+        
+        this.flushTimer = setInterval(() => this.flush(), FLUSH_INTERVAL_MS);
+    }
+    
+    /**
+     * Reopen the backend connection with fresh credentials (e.g. after a token
+     * refresh), keeping the buffered data and pause state
+     */
+    reconnect() {
+        if (!this.isActive || this.transport === 'mock') return;
+        
+        const socket = this.socket;
+        this.socket = null;
+        socket?.close();
+        this.connect();
+    }
+    
+    stop() {
+        if (this.socket) {
+            this.socket.close();
+            this.socket = null;
+        }
+        if (this.stopMock) {
+            this.stopMock();
+            this.stopMock = null;
+        }
+        clearInterval(this.flushTimer);
+        this.flushTimer = null;
+        
+        this.traceBuffer = [];
+        this.fixBuffer = [];
+        this.setState('stopped');
+    }
+    
+    /**
+     * Freeze the display; data keeps arriving and is shown on resume
+     */
+    pause() {
+        if (this.state === 'live') {
+            this.setState('paused');
+        }
+    }
+    
+    resume() {
+        if (this.state === 'paused') {
+            this.setState('live');
+            this.flush();
+        }
+    }
+    
+    get isActive() {
+        return this.state !== 'stopped';
+    }
+    
+    // ===========================
+    // Transports
+    // ===========================
+    
+    connect() {
+        const connecting = this.transport === 'sse' ? this.connectEventStream() : this.connectWebSocket();
+        connecting.catch(error => this.fail(error));
+    }
+    
+    async connectWebSocket() {
+        const base = `${getBaseUrl()}${STREAM_PATH}`.replace(/^http/, 'ws');
+        const credentials = toQueryCredentials(await getStreamHeaders());
+        const url = credentials ? `${base}?${credentials}` : base;
+        
+        // Stopped or reconnected while the token was fetched
+        if (this.socket || !this.isActive) return;
+        
+        const socket = new WebSocket(url);
+        this.socket = socket;
+        
+        socket.onopen = () => {
+            if (this.state === 'connecting') this.setState('live');
+        };
+        socket.onmessage = (event) => this.handleRaw(event.data);
+        socket.onerror = () => {
+            if (this.socket === socket) {
+                this.fail(new Error(`Live stream connection failed (${base})`));
+            }
+        };
+        socket.onclose = () => {
+            // Closed by the server rather than by stop()
+            if (this.socket === socket) {
+                this.fail(new Error('Live stream closed by the server'));
+            }
+        };
+    }
+    
+    /**
+     * Server-Sent Events read through fetch, which (unlike EventSource) can send auth headers
+     */
+    async connectEventStream() {
+        const url = `${getBaseUrl()}${STREAM_PATH}`;
+        const controller = new AbortController();
+        const connection = { close: () => controller.abort() };
+        this.socket = connection;
+        
+        const open = async () => fetch(url, {
+            headers: { 'Accept': 'text/event-stream', ...(await getStreamHeaders()) },
+            signal: controller.signal
+        });
+        
+        try {
+            let response = await open();
+            
+            // Token expired or revoked - refresh or ask the user to log in, then retry once
+            if (response.status === 401 && usesLogin() && await handleUnauthorized()) {
+                response = await open();
+            }
+            if (!response.ok || !response.body) {
+                throw new Error(`Live stream connection failed (${url}): HTTP ${response.status}`);
+            }
+            
+            if (this.state === 'connecting') this.setState('live');
+            await this.readEventStream(response.body);
+        } catch (error) {
+            if (error.name === 'AbortError') return;
+            throw error;
+        }
+        
+        // Closed by the server rather than by stop() or reconnect()
+        if (this.socket === connection) {
+            throw new Error('Live stream closed by the server');
+        }
+    }
+    
+    /**
+     * Hand each event's data lines to handleRaw until the stream ends
+     */
+    async readEventStream(body) {
+        const reader = body.pipeThrough(new TextDecoderStream()).getReader();
+        let buffer = '';
+        let data = [];
+        
+        for (;;) {
+            const { value, done } = await reader.read();
+            if (done) return;
+            
+            buffer += value;
+            const lines = buffer.split(/\r?\n/);
+            buffer = lines.pop();
+            
+            for (const line of lines) {
+                if (line === '') {
+                    // Blank line ends an event
+                    if (data.length > 0) this.handleRaw(data.join('\n'));
+                    data = [];
+                } else if (line.startsWith('data:')) {
+                    data.push(line.slice(5).replace(/^ /, ''));
+                }
+            }
+        }
+    }
+    
+    fail(error) {
+        if (!this.isActive) return;
+        
+        console.warn('Live stream error:', error);
+        this.stop();
+        if (this.onError) {
+            this.onError(error);
+        }
+    }
+    
+    // ===========================
+    // Messages
+    // ===========================
+    
+    handleRaw(data) {
+        try {
+            this.handleMessage(JSON.parse(data));
+        } catch (error) {
+            console.warn('Ignoring malformed live stream message:', error);
+        }
+    }
+    
+    handleMessage(message) {
+        switch (message.type) {
+            case 'meta':
+                if (this.onMeta) {
+                    this.onMeta(message);
+                }
+                break;
+            case 'trace':
+                if (Array.isArray(message.samples)) {
+                    this.traceBuffer.push({ index: message.trace_index, samples: message.samples });
+                    if (this.traceBuffer.length > MAX_BUFFERED_TRACES) {
+                        this.traceBuffer.shift();
+                    }
+                }
+                if (message.gps) {
+                    this.fixBuffer.push(message.gps);
+                }
+                break;
+            case 'gps':
+                this.fixBuffer.push(message);
+                break;
+            default:
+                console.warn(`Unknown live stream message type: ${message.type}`);
+        }
+    }
+    
+    /**
+     * Hand buffered traces and fixes to onData, unless paused
+     */
+    flush() {
+        if (this.state !== 'live') return;
+        if (this.traceBuffer.length === 0 && this.fixBuffer.length === 0) return;
+        
+        const traces = this.traceBuffer;
+        const fixes = this.fixBuffer;
+        this.traceBuffer = [];
+        this.fixBuffer = [];
+        
+        if (this.onData) {
+            this.onData({ traces, fixes });
+        }
+    }
+    
+    setState(state) {
+        if (state === this.state) return;
+        
+        this.state = state;
+        if (this.onStateChange) {
+            this.onStateChange(state);
+        }
+    }
+}
+
+/**
+ * Profile and login auth headers, as REST calls send them (see api.js)
+ */
+async function getStreamHeaders() {
+    return { ...getAuthHeaders(), ...(await getAuthHeader()) };
+}
+
+/**
+ * Auth headers as WebSocket query parameters: the bearer token as access_token,
+ * an API key as api_key
+ */
+function toQueryCredentials(headers) {
+    const params = new URLSearchParams();
+    Object.entries(headers).forEach(([name, value]) => {
+        if (name === 'Authorization') {
+            params.set('access_token', value.replace(/^Bearer /, ''));
+        } else {
+            params.set('api_key', value);
+        }
+    });
+    return params.toString();
+}
@@ -0,0 +1,238 @@
+/**
+ * Level-of-Detail Loader Module
+ * Loads a decimated overview of a slice first, then fetches finer
+ * windows as the user zooms in and stitches them into the viewers
+ */
+
+import * as api from './api.js';
+import { pointAtFraction } from './chainage.js';
+
+// zoom_level is a trace decimation factor: 1 = full resolution, 8 = every 8th trace
+export const OVERVIEW_ZOOM_LEVEL = 8;
+
+// Aim for roughly this many traces across the visible range
+const TARGET_VISIBLE_TRACES = 2000;
+
+// Wait for zoom/pan to settle before fetching
+const REFINE_DEBOUNCE_MS = 300;
+
+// Start again from the overview once this many windows are stitched in
+const MAX_WINDOWS = 8;
+
+/**
+ * Full-resolution trace count of a slice fetched at the given zoom level
+ */
+export function getFullWidth(response, zoomLevel) {
+    return response.metadata?.full_width ?? response.width * zoomLevel;
+}
+
+/**
+ * Coarsest power-of-two zoom level that still shows enough traces for a span
+ */
+function zoomLevelForSpan(span) {
+    let zoomLevel = 1;
+    while (span / (zoomLevel * 2) >= TARGET_VISIBLE_TRACES) {
+        zoomLevel *= 2;
+    }
+    return zoomLevel;
+}
+
+/**
+ * Full-resolution x positions for `count` columns evenly covering [start, end)
+ */
+function columnPositions(start, end, count) {
+    return Array.from({ length: count }, (_, i) => Math.round(start + (i * (end - start)) / count));
+}
+
+export class LODLoader {
+    constructor(viewers) {
+        this.viewers = viewers;
+        
+        // Current dataset
+        this.query = null;
+        this.overview = null;
+        this.fullWidth = 0;
+        this.windows = []; // { start, end, zoomLevel } in full-resolution traces
+        
+        // Request state
+        this.controller = null;
+        this.debounceTimer = null;
+        
+        // Callbacks
+        this.onWindowLoaded = null;
+        this.onError = null;
+    }
+    
+    /**
+     * Start a new dataset from an overview response
+     * Returns the overview prepared for SliceViewer.loadData (full-width x positions)
+     */
+    setOverview(response, query, zoomLevel) {
+        this.reset();
+        
+        this.query = query;
+        this.fullWidth = getFullWidth(response, zoomLevel);
+        this.overview = {
+            ...response,
+            x: columnPositions(0, this.fullWidth, response.width),
+            width: this.fullWidth
+        };
+        this.windows = [{ start: 0, end: this.fullWidth, zoomLevel }];
+        
+        return this.overview;
+    }
+    
+    /**
+     * Forget the current dataset (e.g. when sample data replaces it)
+     */
+    reset() {
+        clearTimeout(this.debounceTimer);
+        if (this.controller) {
+            this.controller.abort();
+            this.controller = null;
+        }
+        
+        this.query = null;
+        this.overview = null;
+        this.windows = [];
+    }
+    
+    /**
+     * Called on zoom/pan with the visible x range
+     */
+    handleViewportChange(xRange) {
+        if (!this.query || !xRange) return;
+        
+        clearTimeout(this.debounceTimer);
+        this.debounceTimer = setTimeout(() => this.refine(xRange), REFINE_DEBOUNCE_MS);
+    }
+    
+    /**
+     * Fetch a finer window for the visible range if what is shown is too coarse
+     */
+    async refine(xRange) {
+        const start = Math.max(0, Math.floor(Math.min(...xRange)));
+        const end = Math.min(this.fullWidth, Math.ceil(Math.max(...xRange)));
+        if (end <= start) return;
+        
+        const zoomLevel = zoomLevelForSpan(end - start);
+        if (this.isCovered(start, end, zoomLevel)) return;
+        
+        // Pad so small pans stay inside the fetched window
+        const pad = Math.round((end - start) / 2);
+        const windowStart = Math.max(0, start - pad);
+        const windowEnd = Math.min(this.fullWidth, end + pad);
+        
+        if (this.controller) {
+            this.controller.abort();
+        }
+        const controller = new AbortController();
+        this.controller = controller;
+        const query = this.query;
+        
+        try {
+            const response = await api.getGPRSlice({
+                ...query,
+                ...this.windowCoords(windowStart, windowEnd),
+                zoomLevel
+            }, { signal: controller.signal });
+            
+            // Dataset replaced while loading
+            if (query !== this.query) return;
+            
+            this.stitch(windowStart, windowEnd, zoomLevel, response);
+        } catch (error) {
+            if (error.name === 'AbortError') return;
+            
+            console.warn('Failed to load detail window:', error);
+            if (this.onError) {
+                this.onError(error);
+            }
+        } finally {
+            if (this.controller === controller) {
+                this.controller = null;
+            }
+        }
+    }
+    
+    isCovered(start, end, zoomLevel) {
+        return this.windows.some(w => w.start <= start && w.end >= end && w.zoomLevel <= zoomLevel);
+    }
+    
+    /**
+     * Query coordinates for the traces [start, end)
+     * Follows the overview's GPS track so curved sections ask for the right
+     * ground; a straight line between the query ends is the fallback.
+     */
+    windowCoords(start, end) {
+        const track = this.overview?.gps_track;
+        const lastTrace = Math.max(1, this.fullWidth - 1);
+        if (track && track.length > 1) {
+            const from = pointAtFraction(track, start / lastTrace);
+            const to = pointAtFraction(track, (end - 1) / lastTrace);
+            return { startLat: from.lat, startLon: from.lon, endLat: to.lat, endLon: to.lon };
+        }
+        
+        const { startLat, startLon, endLat, endLon } = this.query;
+        const t0 = start / this.fullWidth;
+        const t1 = end / this.fullWidth;
+        
+        return {
+            startLat: startLat + (endLat - startLat) * t0,
+            startLon: startLon + (endLon - startLon) * t0,
+            endLat: startLat + (endLat - startLat) * t1,
+            endLon: startLon + (endLon - startLon) * t1
+        };
+    }
+    
+    /**
+     * Traces [start, end) a window response covers, relative to the overview
+     * The backend may clamp or round the requested range, so its first_trace and
+     * full_width win; the requested range is the fallback. May reach past the
+     * section - stitch drops those columns.
+     */
+    windowRange(requestedStart, requestedEnd, response) {
+        const firstTrace = response.metadata?.first_trace;
+        const fullWidth = response.metadata?.full_width;
+        const sectionStart = this.overview?.metadata?.first_trace ?? 0;
+        if (!Number.isFinite(firstTrace) || !Number.isFinite(fullWidth)) {
+            return { start: requestedStart, end: requestedEnd };
+        }
+        
+        const start = firstTrace - sectionStart;
+        return { start, end: start + fullWidth };
+    }
+    
+    /**
+     * Merge a fetched window into both viewers
+     */
+    stitch(requestedStart, requestedEnd, zoomLevel, response) {
+        const range = this.windowRange(requestedStart, requestedEnd, response);
+        const start = Math.max(0, range.start);
+        const end = Math.min(this.fullWidth, range.end);
+        if (end <= start) return;
+        
+        if (this.windows.length > MAX_WINDOWS) {
+            // Too many patches - go back to the overview to bound memory
+            this.viewers.forEach(viewer => viewer.mergeColumns(this.overview.x, this.overview.data));
+            this.windows = [this.windows[0]];
+        }
+        
+        // Columns outside the section are dropped
+        const positions = columnPositions(range.start, range.end, response.width);
+        const inside = positions.flatMap((position, i) => position >= 0 && position < this.fullWidth ? [i] : []);
+        const x = inside.map(i => positions[i]);
+        const data = inside.length === positions.length
+            ? response.data
+            : response.data.map(row => inside.map(i => row[i]));
+        this.viewers.forEach(viewer => viewer.mergeColumns(x, data));
+        
+        // The new window overwrites any earlier ones it overlaps
+        this.windows = this.windows.filter((w, i) => i === 0 || w.end <= start || w.start >= end);
+        this.windows.push({ start, end, zoomLevel });
+        
+        if (this.onWindowLoaded) {
+            this.onWindowLoaded({ start, end, zoomLevel });
+        }
+    }
+}
@@ -0,0 +1,124 @@
+/**
+ * Login Dialog Module
+ * Username/password prompt for backend profiles using login authentication
+ */
+
+import * as auth from './auth.js';
+
+export class LoginDialog {
+    constructor() {
+        // Resolver of the pending prompt() promise
+        this.resolvePrompt = null;
+        
+        // Element references
+        this.elements = {
+            dialog: document.getElementById('login-dialog'),
+            form: document.getElementById('login-form'),
+            username: document.getElementById('login-username'),
+            password: document.getElementById('login-password'),
+            message: document.getElementById('login-message'),
+            cancelBtn: document.getElementById('login-cancel-btn'),
+            submitBtn: document.getElementById('login-submit-btn'),
+            loginBtn: document.getElementById('login-btn'),
+            currentUser: document.getElementById('current-user')
+        };
+        
+        this.init();
+    }
+    
+    init() {
+        auth.setLoginPrompt(() => this.prompt());
+        
+        this.elements.form?.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.handleSubmit();
+        });
+        
+        this.elements.cancelBtn?.addEventListener('click', () => this.finish(false));
+        
+        // Escape key closes the dialog without logging in
+        this.elements.dialog?.addEventListener('close', () => this.finish(false));
+        
+        this.elements.loginBtn?.addEventListener('click', () => {
+            if (auth.getCurrentUser()) {
+                auth.logout();
+            } else {
+                auth.promptLogin();
+            }
+        });
+        
+        this.updateUserDisplay();
+    }
+    
+    /**
+     * Show the dialog; resolves true once logged in, false if cancelled
+     */
+    prompt() {
+        return new Promise(resolve => {
+            this.resolvePrompt = resolve;
+            
+            this.elements.username.value = auth.getCurrentUser()?.username || this.elements.username.value;
+            this.elements.password.value = '';
+            this.setMessage('');
+            
+            if (!this.elements.dialog.open) {
+                this.elements.dialog.showModal();
+            }
+        });
+    }
+    
+    async handleSubmit() {
+        const username = this.elements.username.value.trim();
+        const password = this.elements.password.value;
+        if (!username || !password) {
+            this.setMessage('Enter username and password', true);
+            return;
+        }
+        
+        this.elements.submitBtn.disabled = true;
+        this.setMessage('Logging in...');
+        
+        try {
+            await auth.login(username, password);
+            this.finish(true);
+        } catch (error) {
+            this.setMessage(error.message, true);
+        } finally {
+            this.elements.submitBtn.disabled = false;
+        }
+    }
+    
+    finish(loggedIn) {
+        const resolve = this.resolvePrompt;
+        this.resolvePrompt = null;
+        
+        if (this.elements.dialog?.open) {
+            this.elements.dialog.close();
+        }
+        if (resolve) {
+            resolve(loggedIn);
+        }
+    }
+    
+    /**
+     * Update header user badge and login/logout button for the active profile
+     */
+    updateUserDisplay() {
+        const user = auth.getCurrentUser();
+        
+        this.elements.loginBtn?.classList.toggle('hidden', !auth.usesLogin());
+        if (this.elements.loginBtn) {
+            this.elements.loginBtn.textContent = user ? 'Log out' : '🔒 Log in';
+        }
+        if (this.elements.currentUser) {
+            this.elements.currentUser.textContent = user ? `👤 ${user.username}` : '';
+        }
+    }
+    
+    setMessage(message, isError = false) {
+        if (!this.elements.message) return;
+        
+        this.elements.message.textContent = message;
+        this.elements.message.classList.toggle('error', isError);
+    }
+}
@@ -4,23 +4,74 @@
  */
 
 import * as api from './api.js';
+import * as auth from './auth.js';
+import { SchemaError } from './schema.js';
 import { SliceViewer } from './sliceViewer.js';
 import { MapManager } from './mapManager.js';
 import { Controls } from './controls.js';
-import { generateMockDataset, getMockPOIs } from './mockData.js';
+import { OfflineQueue } from './offlineQueue.js';
+import { ConnectionMonitor } from './connectionMonitor.js';
+import { LODLoader, OVERVIEW_ZOOM_LEVEL, getFullWidth } from './lodLoader.js';
+import { SettingsDialog } from './settingsDialog.js';
+import { LoginDialog } from './loginDialog.js';
+import { DateCalendar } from './dateCalendar.js';
+import { resolveMileRange } from './chainage.js';
+import { Timeline, findTrackIndexAtTime } from './timeline.js';
+import { LiveStream } from './liveStream.js';
+import { getMockPOIs } from './mockData.js';
+import { getWorkerPool } from './workerPool.js';
+import { packRows, unpackRows } from './workerTasks.js';
+import { ProcessingPanel } from './processingPanel.js';
+import { SpectrumPanel } from './spectrumPanel.js';
+import { getSampling, bandpassCorners } from './filters.js';
+import { VelocityPanel } from './velocityPanel.js';
+import { getTraceSpacing } from './velocity.js';
+import { SuggestionPanel } from './suggestionPanel.js';
+import { hyperbolaScales } from './detection.js';
+
+// Newest traces kept in the live waterfall
+const LIVE_WINDOW_TRACES = 2000;
+
+// POI fields the backend assigns on create - everything else stays as the user has it
+const SERVER_POI_FIELDS = ['created_at', 'updated_at'];
 
 class GPRApp {
     constructor() {
         this.viewer1 = null;
         this.viewer2 = null;
+        this.lodLoader = null;
         this.mapManager = null;
         this.controls = null;
+        this.offlineQueue = null;
+        this.connectionMonitor = null;
+        this.settingsDialog = null;
+        this.loginDialog = null;
+        this.dateCalendar = null;
+        this.timeline = null;
+        this.liveStream = null;
+        this.liveTraceCount = 0;
+        this.processingPanel = null;
+        this.spectrumPanel = null;
+        this.velocityPanel = null;
+        this.suggestionPanel = null;
+        this.processingController = null; // AbortController of the processing run in flight
+        this.detectionController = null; // AbortController of the detection run in flight
         
         // Current data
         this.currentData = null;
         this.gpsTrack = null;
         this.pois = [];
         this.poiCounter = 100; // For generating unique IDs
+        this.pendingCreates = new Map(); // Local ID -> { poi, done } for creates still being sent
+        this.dataSource = null; // 'sample' or 'backend'
+        
+        // Backend connection state
+        this.isConnected = false;
+        this.poiTypesLoaded = false;
+        this.datesLoaded = false;
+        this.boundsDate = null; // Date of the latest data bounds request
+        this.lastQuery = null; // Last submitted query params, for reloading after reconnect
+        this.loadController = null; // AbortController of the load in flight
         
         this.init();
     }
@@ -35,12 +86,14 @@ class GPRApp {
         this.initializeViewers();
         this.initializeMap();
         this.initializeControls();
+        await this.initializeOfflineQueue();
         
         // Wire up callbacks
         this.setupCallbacks();
         
-        // Check backend connection
-        await this.checkConnection();
+        // Start monitoring backend connection
+        this.initializeConnectionMonitor();
+        await this.connectionMonitor.start();
         
         console.log('App initialized successfully');
         this.controls.setStatus('Ready - Click "Load Sample Data" to test');
@@ -61,6 +114,9 @@ class GPRApp {
         this.viewer1 = new SliceViewer('gpr-plot-1', 'plotly-container-1');
         this.viewer2 = new SliceViewer('gpr-plot-2', 'plotly-container-2');
         
+        // Fetches finer windows of backend slices as the viewers zoom in
+        this.lodLoader = new LODLoader([this.viewer1, this.viewer2]);
+        
         console.log('Plotly slice viewers initialized');
     }
     
@@ -76,12 +132,76 @@ class GPRApp {
             [this.viewer1, this.viewer2],
             this.mapManager
         );
+        
+        // Backend profile settings and login
+        this.settingsDialog = new SettingsDialog();
+        this.loginDialog = new LoginDialog();
+        
+        // Survey availability calendar for the date input
+        this.dateCalendar = new DateCalendar();
+        
+        // Recording time scrubber under the viewers
+        this.timeline = new Timeline();
+        
+        // Live acquisition stream
+        this.liveStream = new LiveStream();
+        
+        // Processing chain applied to one viewer
+        this.processingPanel = new ProcessingPanel();
+        this.spectrumPanel = new SpectrumPanel();
+        
+        // Hyperbola fitting for the depth velocity
+        this.velocityPanel = new VelocityPanel();
+        
+        // Detected targets to review as POIs
+        this.suggestionPanel = new SuggestionPanel();
+        this.suggestionPanel.setTypes(this.controls.getPOITypeOptions());
+    }
+    
+    async initializeOfflineQueue() {
+        // Queue POI writes made while the backend is unreachable
+        this.offlineQueue = new OfflineQueue();
+        
+        this.offlineQueue.onPendingChange = (count) => {
+            this.controls.setPendingChanges(count);
+        };
+        
+        // Reconcile local IDs with server-assigned ones - only the ID and server-owned
+        // fields are taken, so edits made while the create was in flight survive
+        // (a POI deleted meanwhile is still found through its pending create)
+        this.offlineQueue.onPOISaved = (localId, saved) => {
+            const poi = this.pois.find(p => p.id === localId) || this.pendingCreates.get(localId)?.poi;
+            if (!poi) return;
+            
+            poi.id = saved.id;
+            SERVER_POI_FIELDS.forEach(field => {
+                if (saved[field] !== undefined) poi[field] = saved[field];
+            });
+            this.refreshPOIs();
+        };
+        
+        this.offlineQueue.onOperationFailed = (operation, error) => {
+            this.controls.setStatus(`Backend rejected queued POI ${operation.type}: ${error.message}`);
+        };
+        
+        await this.offlineQueue.init();
+    }
+    
+    initializeConnectionMonitor() {
+        this.connectionMonitor = new ConnectionMonitor();
+        this.connectionMonitor.onStateChange = (change) => {
+            this.handleConnectionChange(change);
+        };
     }
     
     setupCallbacks() {
         // Handle query form submission
         this.controls.onQuerySubmit = async (params) => {
-            await this.loadData(params);
+            // Mile post queries are turned into coordinates first
+            const query = params.startMile !== undefined ? await this.resolveMileQuery(params) : params;
+            if (query) {
+                await this.loadData(query);
+            }
         };
         
         // Handle load sample button
@@ -89,6 +209,129 @@ class GPRApp {
             this.loadSampleData();
         };
         
+        // Live acquisition mode
+        this.controls.onLiveStart = (transport) => this.startLive(transport);
+        this.controls.onLiveStop = () => this.liveStream.stop();
+        this.controls.onLivePause = () => this.liveStream.pause();
+        this.controls.onLiveResume = () => this.liveStream.resume();
+        
+        this.processingPanel.onChange = () => {
+            this.applyProcessing();
+        };
+        
+        this.velocityPanel.onOverlayChange = (overlay) => {
+            this.viewer1.setOverlay(overlay);
+            this.viewer2.setOverlay(overlay);
+        };
+        
+        this.velocityPanel.onApply = (velocity) => {
+            this.setVelocity(velocity);
+        };
+        
+        this.suggestionPanel.onDetect = () => {
+            this.detectTargets();
+        };
+        
+        this.suggestionPanel.onChange = (suggestions) => {
+            this.viewer1.setSuggestions(suggestions);
+            this.viewer2.setSuggestions(suggestions);
+        };
+        
+        this.suggestionPanel.onSelect = (suggestion) => {
+            this.viewer1.centerOnDataX(suggestion.slice_x);
+            this.viewer2.centerOnDataX(suggestion.slice_x);
+        };
+        
+        this.suggestionPanel.onAccept = (suggestion) => {
+            this.addPOI({
+                type: suggestion.type,
+                slice_x: suggestion.slice_x,
+                slice_y: suggestion.slice_y,
+                notes: `Detected ${suggestion.shape === 'void' ? 'void signature' : 'hyperbola'} (confidence ${Math.round(suggestion.confidence * 100)}%)`
+            });
+        };
+        
+        // Stitched windows replace the processed columns - reprocess
+        this.lodLoader.onWindowLoaded = () => {
+            this.applyProcessing();
+        };
+        
+        this.liveStream.onStateChange = (state) => {
+            this.controls.setLiveState(state);
+            this.handleLiveStateChange(state);
+        };
+        this.liveStream.onMeta = (meta) => {
+            this.viewer1.startLive(meta);
+            this.viewer2.startLive(meta);
+        };
+        this.liveStream.onData = (data) => {
+            this.handleLiveData(data);
+        };
+        this.liveStream.onError = (error) => {
+            this.controls.setStatus(error.message, true);
+        };
+        
+        // Time picked on the timeline - jump viewers and map there
+        this.timeline.onTimeSelect = (time) => {
+            this.jumpToTime(time);
+        };
+        
+        // Date picked - fetch its surveyed area to pre-fill and constrain coordinates
+        this.controls.onDateChange = (date) => {
+            this.loadDataBounds(date);
+        };
+        
+        // Handle cancel button on the loading overlays
+        this.controls.onCancelLoad = () => {
+            this.cancelLoad();
+            this.controls.hideLoading();
+            if (!this.dataSource) {
+                this.controls.showPlaceholders();
+            }
+            this.controls.setStatus('Loading cancelled');
+        };
+        
+        // Backend profile switched - re-check connection against the new server
+        this.settingsDialog.onProfileChange = (profile) => {
+            this.poiTypesLoaded = false;
+            this.datesLoaded = false;
+            this.dateCalendar.reset();
+            this.clearDataBounds();
+            
+            // The old server's section and POIs don't belong to the new one
+            this.cancelLoad();
+            this.lastQuery = null;
+            this.controls.showReloadPrompt(false);
+            if (this.dataSource === 'backend') {
+                this.clearDataset();
+            }
+            this.offlineQueue.handleBackendChange();
+            
+            this.loginDialog.updateUserDisplay();
+            this.controls.setStatus(`Using backend profile "${profile.name}"`);
+            this.connectionMonitor.checkNow();
+        };
+        
+        // Logged in or out - changes made while logged out can be sent now
+        auth.setSessionChangeHandler((user) => {
+            this.loginDialog.updateUserDisplay();
+            if (user) {
+                this.controls.setStatus(`Logged in as ${user.username}`);
+                this.offlineQueue.flush();
+            }
+            
+            // Streams carry the token from when they opened - reopen with the new one
+            this.liveStream.reconnect();
+        });
+        
+        // Handle reload offered after the backend comes back
+        this.controls.onReloadQuery = () => {
+            this.controls.showReloadPrompt(false);
+            if (this.lastQuery) {
+                this.loadData(this.lastQuery);
+            }
+        };
+        
         // Handle colorscale change
         const colorscaleSelect = document.getElementById('colorscale-select');
         colorscaleSelect?.addEventListener('change', (e) => {
@@ -122,19 +365,35 @@ class GPRApp {
                 this.viewer2.syncViewport(viewport.eventData);
             }
             this.controls.updateZoomDisplay();
+            this.lodLoader.handleViewportChange(viewport.xRange);
         };
         
         this.viewer2.onViewportChange = (viewport) => {
             if (this.controls.syncViewers && viewport.eventData) {
                 this.viewer1.syncViewport(viewport.eventData);
             }
+            this.lodLoader.handleViewportChange(viewport.xRange);
+        };
+        
+        this.lodLoader.onError = (error) => {
+            if (error instanceof SchemaError) {
+                this.controls.setStatus(`Showing overview - ${error.message}`, true);
+            } else {
+                this.controls.setStatus('Could not load full resolution for this range - showing overview');
+            }
         };
     }
     
     /**
      * Handle click on GPR viewer - create POI if in POI mode
      */
-    handleViewerClick(clickData, viewerNum) {
+    async handleViewerClick(clickData, viewerNum) {
+        // Velocity picks take the click over POI marking
+        if (this.velocityPanel.isPicking()) {
+            this.velocityPanel.addPoint(clickData.dataX, clickData.dataY);
+            return;
+        }
+        
         // Check if POI mode is active
         if (!this.controls.isPOIModeActive()) {
             console.log('Click detected but POI mode not active');
@@ -146,34 +405,208 @@ class GPRApp {
             return;
         }
         
-        // Get POI type from dropdown
-        const poiType = this.controls.getPOIType();
-        
-        // Calculate geo coordinates from click position
-        const geoCoords = this.viewer1.dataToGeoCoords(clickData.dataX, clickData.dataY);
+        await this.addPOI({
+            type: this.controls.getPOIType(),
+            slice_x: clickData.dataX,
+            slice_y: clickData.dataY,
+            notes: `Added from viewer ${viewerNum} at ${new Date().toLocaleTimeString()}`
+        });
+    }
+    
+    /**
+     * Create a POI at a slice position, show it and save it to the backend
+     * Used for clicks in POI mode and accepted suggestions
+     */
+    async addPOI({ type, slice_x, slice_y, notes }) {
+        // Calculate geo coordinates from the slice position
+        const geoCoords = this.viewer1.dataToGeoCoords(slice_x, slice_y);
         
-        // Generate unique ID
+        // Generate temporary local ID (replaced by the server-assigned one once saved)
         this.poiCounter++;
         const poiId = `poi-user-${this.poiCounter}`;
         
         // Create new POI
         const newPOI = {
             id: poiId,
-            type: poiType,
-            label: `${poiType.charAt(0).toUpperCase() + poiType.slice(1)} #${this.poiCounter}`,
-            slice_x: clickData.dataX,
-            slice_y: clickData.dataY,
+            type,
+            label: `${type.charAt(0).toUpperCase() + type.slice(1)} #${this.poiCounter}`,
+            date: this.currentData.date,
+            slice_x,
+            slice_y,
+            depth_m: geoCoords?.depth ?? null,
             lat: geoCoords?.lat || 0,
             lon: geoCoords?.lon || 0,
             mile_marker: geoCoords?.mile || 0,
-            notes: `Added from viewer ${viewerNum} at ${new Date().toLocaleTimeString()}`
+            notes,
+            created_by: auth.getCurrentUser()?.username || null
         };
         
         console.log('Creating new POI:', newPOI);
         
-        // Add to POI list
+        // Add to POI list and show it immediately
         this.pois.push(newPOI);
+        this.refreshPOIs();
+        
+        // Status update
+        this.controls.setStatus(`Added ${newPOI.label} at position (${slice_x}, ${slice_y})`);
+        
+        // Demo Mode keeps POIs in memory only
+        if (!this.shouldPersistPOIs()) return;
+        
+        const { id, ...payload } = newPOI;
+        const done = this.offlineQueue.submit({
+            type: 'create',
+            poiId: id,
+            payload: { ...payload, slice_x: slice_x + this.getSectionStart() }
+        });
+        
+        // Edits and deletes made meanwhile wait for the server ID (see whenCreated)
+        this.pendingCreates.set(id, { poi: newPOI, done });
+        
+        try {
+            const queued = await done;
+            this.controls.setStatus(queued
+                ? `${newPOI.label} queued - will sync when the backend is reachable`
+                : `Saved ${newPOI.label}`);
+        } catch (error) {
+            console.warn('Failed to save POI to backend:', error);
+            this.controls.setStatus(`${newPOI.label} kept locally - backend save failed`);
+        } finally {
+            this.pendingCreates.delete(id);
+        }
+    }
+    
+    /**
+     * Wait for a create of the POI that is still being sent
+     * Afterwards poi.id is the server-assigned ID, unless the create was queued or failed.
+     */
+    async whenCreated(poi) {
+        const pending = this.pendingCreates.get(poi.id);
+        if (pending) {
+            await pending.done.catch(() => {});
+        }
+    }
+    
+    /**
+     * Whether a never-saved POI has nothing waiting to reach the backend,
+     * so its changes can stay local
+     */
+    async isLocalOnly(poi) {
+        return this.isLocalPOI(poi) && !(await this.offlineQueue.hasQueuedCreate(poi.id));
+    }
+    
+    /**
+     * Whether POI changes should be written to the backend
+     */
+    shouldPersistPOIs() {
+        return this.dataSource === 'backend';
+    }
+    
+    /**
+     * Check if a POI only exists locally (never saved to the backend)
+     */
+    isLocalPOI(poi) {
+        return String(poi.id).startsWith('poi-user-');
+    }
+    
+    /**
+     * Absolute trace of the loaded section's first column (metadata.first_trace)
+     * POIs are stored against absolute traces so each section only gets its own;
+     * the viewers and this.pois use section-relative columns.
+     */
+    getSectionStart() {
+        return this.currentData?.metadata?.first_trace ?? 0;
+    }
+    
+    /**
+     * Fetch POIs for a section from the backend
+     * sectionStart and width are the section's first absolute trace and trace count.
+     * Includes POIs created offline that are still waiting to sync.
+     * Returns POIs with section-relative slice_x.
+     */
+    async fetchPOIs(date, sectionStart, width, signal = null) {
+        const maxX = sectionStart + width - 1;
+        
+        let pois = [];
+        try {
+            const result = await api.getPOIs({
+                date,
+                min_slice_x: sectionStart,
+                max_slice_x: maxX
+            }, { signal });
+            pois = Array.isArray(result) ? result : (result.pois || []);
+        } catch (error) {
+            if (error.name === 'AbortError') throw error;
+            console.warn('Failed to load POIs from backend:', error);
+        }
         
+        const pending = (await this.offlineQueue.getPendingPOIs(date))
+            .filter(poi => poi.slice_x >= sectionStart && poi.slice_x <= maxX);
+        return [...pois, ...pending].map(poi => ({ ...poi, slice_x: poi.slice_x - sectionStart }));
+    }
+    
+    /**
+     * Load POI types from the backend into the type dropdown
+     */
+    async loadPOITypes() {
+        try {
+            const types = await api.getPOITypes();
+            this.controls.setPOITypes(Array.isArray(types) ? types : (types.types || []));
+            this.suggestionPanel.setTypes(this.controls.getPOITypeOptions());
+            this.poiTypesLoaded = true;
+        } catch (error) {
+            console.warn('Failed to load POI types, using defaults:', error);
+        }
+    }
+    
+    /**
+     * Load the dates with survey data into the calendar
+     */
+    async loadAvailableDates() {
+        this.datesLoaded = await this.dateCalendar.load();
+    }
+    
+    /**
+     * Load the surveyed area of a date into the query form and map
+     */
+    async loadDataBounds(date) {
+        this.clearDataBounds();
+        this.boundsDate = date;
+        if (!date || !this.isConnected || !this.dateCalendar.isAvailable(date)) return;
+        
+        try {
+            const [bounds, track] = await Promise.all([
+                api.getDataBounds(date),
+                // Query points are kept along the track; without one only the bounding box applies
+                api.getGPSTrack({ date }).then(result => result.points).catch(error => {
+                    console.warn('Failed to load track for the surveyed area:', error);
+                    return null;
+                })
+            ]);
+            
+            // Another date was picked meanwhile
+            if (this.boundsDate !== date) return;
+            
+            this.controls.setDataBounds(bounds, track);
+            this.mapManager.showDataBounds(bounds, track);
+            this.controls.setStatus(`Filled in the surveyed area for ${date}`);
+        } catch (error) {
+            if (this.boundsDate !== date) return;
+            console.warn('Failed to load data bounds:', error);
+            this.controls.setStatus(`Could not load the surveyed area for ${date}: ${error.message}`, true);
+        }
+    }
+    
+    clearDataBounds() {
+        this.boundsDate = null;
+        this.controls.setDataBounds(null);
+        this.mapManager.clearDataBounds();
+    }
+    
+    /**
+     * Push the current POI list to viewers, map and sidebar
+     */
+    refreshPOIs() {
         // Update both viewers
         this.viewer1.setPOIs(this.pois);
         this.viewer2.setPOIs(this.pois);
@@ -183,9 +616,6 @@ class GPRApp {
         
         // Update POI list in sidebar
         this.updatePOIList();
-        
-        // Status update
-        this.controls.setStatus(`Added ${newPOI.label} at position (${clickData.dataX}, ${clickData.dataY})`);
     }
     
     /**
@@ -198,22 +628,32 @@ class GPRApp {
         poiListEl.innerHTML = '';
         
         this.pois.forEach((poi, index) => {
+            // Depth from the viewer, so it follows time-zero correction
+            const depth = this.currentData ? this.viewer1.dataToGeoCoords(poi.slice_x, poi.slice_y)?.depth : undefined;
             const poiItem = document.createElement('div');
             poiItem.className = `poi-item poi-type-${poi.type}`;
             poiItem.innerHTML = `
                 <span class="poi-icon">${this.getPoiIcon(poi.type)}</span>
                 <span class="poi-label">${poi.label}</span>
-                <span class="poi-position">x:${poi.slice_x}, y:${poi.slice_y}</span>
+                <span class="poi-position">x:${poi.slice_x}, y:${poi.slice_y}${depth !== undefined ? ` (${depth.toFixed(2)}m)` : ''}</span>
+                <button class="poi-edit" data-index="${index}" title="Edit POI">✎</button>
                 <button class="poi-delete" data-index="${index}" title="Delete POI">×</button>
             `;
             
             // Click to navigate
             poiItem.addEventListener('click', (e) => {
-                if (!e.target.classList.contains('poi-delete')) {
+                if (!e.target.closest('button, input, select')) {
                     this.navigateToPOI(poi);
                 }
             });
             
+            // Edit button
+            const editBtn = poiItem.querySelector('.poi-edit');
+            editBtn?.addEventListener('click', (e) => {
+                e.stopPropagation();
+                this.showPOIEditor(poiItem, index);
+            });
+            
             // Delete button
             const deleteBtn = poiItem.querySelector('.poi-delete');
             deleteBtn?.addEventListener('click', (e) => {
@@ -225,6 +665,60 @@ class GPRApp {
         });
     }
     
+    /**
+     * Replace a POI list item with fields for its label, type and notes
+     */
+    showPOIEditor(poiItem, index) {
+        const poi = this.pois[index];
+        if (!poi) return;
+        
+        const form = document.createElement('form');
+        form.className = 'poi-edit-form';
+        
+        const label = document.createElement('input');
+        label.type = 'text';
+        label.value = poi.label;
+        label.required = true;
+        label.setAttribute('aria-label', 'Label');
+        
+        const type = document.createElement('select');
+        type.setAttribute('aria-label', 'Type');
+        this.controls.getPOITypeOptions().forEach(option => {
+            type.appendChild(new Option(option.label, option.value));
+        });
+        type.value = poi.type;
+        
+        const notes = document.createElement('input');
+        notes.type = 'text';
+        notes.value = poi.notes || '';
+        notes.placeholder = 'Notes';
+        notes.setAttribute('aria-label', 'Notes');
+        
+        const saveBtn = document.createElement('button');
+        saveBtn.type = 'submit';
+        saveBtn.className = 'btn btn-small';
+        saveBtn.textContent = 'Save';
+        
+        const cancelBtn = document.createElement('button');
+        cancelBtn.type = 'button';
+        cancelBtn.className = 'btn btn-small';
+        cancelBtn.textContent = 'Cancel';
+        cancelBtn.addEventListener('click', () => this.updatePOIList());
+        
+        form.append(label, type, notes, saveBtn, cancelBtn);
+        form.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.updatePOI(index, {
+                label: label.value.trim() || poi.label,
+                type: type.value,
+                notes: notes.value
+            });
+        });
+        
+        poiItem.replaceChildren(form);
+        label.focus();
+    }
+    
     /**
      * Get icon for POI type
      */
@@ -257,59 +751,155 @@ class GPRApp {
         this.controls.setStatus(`Navigated to ${poi.label}`);
     }
     
+    /**
+     * Change a POI's label, type or notes and save the change
+     */
+    async updatePOI(index, changes) {
+        const poi = this.pois[index];
+        if (!poi) return;
+        
+        const previous = { label: poi.label, type: poi.type, notes: poi.notes };
+        Object.assign(poi, changes);
+        this.refreshPOIs();
+        
+        this.controls.setStatus(`Updated ${poi.label}`);
+        
+        if (!this.shouldPersistPOIs()) return;
+        
+        // Sent with the server ID once a create in flight has it
+        await this.whenCreated(poi);
+        
+        // Never saved and no create left in the queue - the edit stays local like the POI
+        if (await this.isLocalOnly(poi)) return;
+        
+        try {
+            // Queued behind the POI's create if it hasn't synced yet
+            const queued = await this.offlineQueue.submit({ type: 'update', poiId: poi.id, payload: changes });
+            if (queued) {
+                this.controls.setStatus(`Updated ${poi.label} - will sync when the backend is reachable`);
+            }
+        } catch (error) {
+            console.warn('Failed to update POI on backend:', error);
+            
+            // Restore the old values so the list matches the backend
+            Object.assign(poi, previous);
+            this.refreshPOIs();
+            this.controls.setStatus(`Could not update ${poi.label} - backend error`);
+        }
+    }
+    
     /**
      * Delete a POI
      */
-    deletePOI(index) {
+    async deletePOI(index) {
         if (index < 0 || index >= this.pois.length) return;
         
         const deleted = this.pois.splice(index, 1)[0];
+        this.refreshPOIs();
         
-        // Update viewers
-        this.viewer1.setPOIs(this.pois);
-        this.viewer2.setPOIs(this.pois);
+        this.controls.setStatus(`Deleted ${deleted.label}`);
         
-        // Update map
-        this.mapManager.addPOIMarkers(this.pois);
+        if (!this.shouldPersistPOIs()) return;
         
-        // Update list
-        this.updatePOIList();
+        // A create in flight would bring the POI back - delete it by server ID once saved
+        await this.whenCreated(deleted);
+        
+        // Never saved - just drop its queued changes
+        if (this.isLocalPOI(deleted)) {
+            await this.offlineQueue.discard(deleted.id);
+            return;
+        }
         
-        this.controls.setStatus(`Deleted ${deleted.label}`);
-    }
-    
-    async checkConnection() {
         try {
-            const connected = await api.checkHealth();
-            if (connected) {
-                this.controls.setConnectionStatus('● Connected');
-            } else {
-                this.controls.setConnectionStatus('● Demo Mode');
+            const queued = await this.offlineQueue.submit({ type: 'delete', poiId: deleted.id });
+            if (queued) {
+                this.controls.setStatus(`Deleted ${deleted.label} - will sync when the backend is reachable`);
             }
         } catch (error) {
+            console.warn('Failed to delete POI on backend:', error);
+            
+            // Restore the POI so the list matches the backend
+            this.pois.splice(Math.min(index, this.pois.length), 0, deleted);
+            this.refreshPOIs();
+            this.controls.setStatus(`Could not delete ${deleted.label} - backend error`);
+        }
+    }
+    
+    /**
+     * Handle backend connection state changes from the monitor
+     */
+    handleConnectionChange({ state, reconnected }) {
+        this.isConnected = state !== 'offline';
+        
+        if (state === 'connected') {
+            this.controls.setConnectionStatus('● Connected', 'connected');
+        } else if (state === 'degraded') {
+            this.controls.setConnectionStatus('● Degraded', 'degraded');
+        } else if (this.connectionMonitor.hasConnected) {
+            this.controls.setConnectionStatus('● Offline', 'disconnected');
+        } else {
             this.controls.setConnectionStatus('● Demo Mode');
         }
+        
+        if (!this.isConnected) {
+            this.controls.showReloadPrompt(false);
+            return;
+        }
+        
+        if (!this.poiTypesLoaded) {
+            this.loadPOITypes();
+        }
+        if (!this.datesLoaded) {
+            this.loadAvailableDates();
+        }
+        
+        if (reconnected) {
+            // Push out anything written while offline
+            this.offlineQueue.flush();
+            
+            if (this.lastQuery) {
+                this.controls.showReloadPrompt(true);
+                this.controls.setStatus('Backend is reachable again - reload the current query?');
+            }
+        }
     }
     
     /**
      * Load sample data for testing
+     * Generated in a worker; cancellable like a backend load
      */
-    loadSampleData() {
+    async loadSampleData() {
+        this.liveStream.stop();
+        this.cancelLoad();
+        this.lodLoader.reset();
+        const controller = new AbortController();
+        this.loadController = controller;
+        
         console.log('Loading sample data...');
         this.controls.setStatus('Loading sample data...');
         this.controls.showLoading();
         
-        // Generate mock data
-        const mockData = generateMockDataset();
-        const mockPOIs = getMockPOIs();
-        
-        // Store data
-        this.currentData = mockData;
-        this.gpsTrack = mockData.gps_track;
-        this.pois = [...mockPOIs]; // Clone array
+        let mockData;
+        try {
+            const { samples, ...dataset } = await getWorkerPool().run('generateDataset', { scenario: {} }, {
+                signal: controller.signal,
+                onProgress: (fraction) => this.controls.setLoadingProgress(fraction, 'Generating sample data...')
+            });
+            mockData = { ...dataset, gpr_data: unpackRows(samples, dataset.width, dataset.height) };
+        } catch (error) {
+            if (error.name === 'AbortError') return;
+            
+            console.error('Failed to generate sample data:', error);
+            this.controls.hideLoading();
+            this.controls.setStatus(`Could not generate sample data: ${error.message}`, true);
+            return;
+        } finally {
+            if (this.loadController === controller) {
+                this.loadController = null;
+            }
+        }
         
-        // Prepare data for viewers
-        const viewerData = {
+        this.loadDataset({
             data: mockData.gpr_data,
             width: mockData.width,
             height: mockData.height,
@@ -320,72 +910,481 @@ class GPRApp {
             end_lon: mockData.end_lon,
             metadata: mockData.metadata,
             gps_track: mockData.gps_track
-        };
+        }, {
+            source: 'sample',
+            pois: getMockPOIs(),
+            label: 'Full Track',
+            groundTruth: mockData.ground_truth
+        });
         
-        // Load data into viewers
-        this.viewer1.loadData(viewerData);
-        this.viewer2.loadData(viewerData);
+        console.log('Sample data loaded successfully');
+    }
+    
+    /**
+     * Show a dataset in the viewers, map, timeline and sidebar
+     * Both sample and backend data go through here so everything that works
+     * for one (POI marking, map sync, track and viewer info) works for both.
+     *
+     * dataset: slice prepared for SliceViewer.loadData, with gps_track aligned to it
+     * options: { source: 'sample' | 'backend', pois, label for the viewer info,
+     *            groundTruth: known targets to validate detection against }
+     */
+    loadDataset(dataset, { source, pois = [], label = null, groundTruth = null }) {
+        const track = dataset.gps_track || [];
         
-        // Add POI markers
-        this.viewer1.setPOIs(this.pois);
-        this.viewer2.setPOIs(this.pois);
+        this.currentData = dataset;
+        this.gpsTrack = track.length > 0 ? track : null;
+        this.dataSource = source;
+        this.pois = [...pois];
         
-        // Load GPS track into map
-        this.mapManager.loadTrack(mockData.gps_track);
+        this.viewer1.loadData(dataset);
+        this.viewer2.loadData(dataset);
         
-        // Add POI markers to map
-        this.mapManager.addPOIMarkers(this.pois);
+        // The map gets the same track as the viewers so track indexes match
+        this.mapManager.loadTrack(track);
         
-        // Update POI list in sidebar
-        this.updatePOIList();
+        // Recording span, from the track if the metadata lacks it
+        this.timeline.setRange(
+            dataset.metadata?.recording_start ?? track[0]?.timestamp,
+            dataset.metadata?.recording_end ?? track[track.length - 1]?.timestamp
+        );
         
-        // Update UI
-        this.controls.hideLoading();
-        this.controls.hidePlaceholders();
-        this.controls.setStatus(`Loaded: ${mockData.date} | ${mockData.metadata.total_distance_miles.toFixed(2)} miles | ${mockData.width}x${mockData.height}`);
+        // Add POI markers to viewers, map and sidebar
+        this.refreshPOIs();
         
-        // Update track info
         const trackInfo = this.mapManager.getTrackInfo();
         if (trackInfo) {
             this.controls.updateTrackInfo(trackInfo);
         }
         
-        // Update viewer info
-        this.controls.updateViewerInfo(1, `${mockData.width}x${mockData.height} | Full Track`);
-        this.controls.updateViewerInfo(2, `${mockData.width}x${mockData.height} | Full Track`);
+        const size = `${dataset.width}x${dataset.height}`;
+        const miles = dataset.metadata?.total_distance_miles ?? trackInfo?.totalDistanceMiles;
+        const viewerInfo = label || (trackInfo
+            ? `Mile ${track[0].distance_miles.toFixed(2)} - ${track[track.length - 1].distance_miles.toFixed(2)}`
+            : 'Section');
+        this.controls.updateViewerInfo(1, `${size} | ${viewerInfo}`);
+        this.controls.updateViewerInfo(2, `${size} | ${viewerInfo}`);
         
-        console.log('Sample data loaded successfully');
+        this.controls.hideLoading();
+        this.controls.hidePlaceholders();
+        this.controls.setStatus(miles !== undefined
+            ? `Loaded: ${dataset.date} | ${miles.toFixed(2)} miles | ${size}`
+            : `Loaded: ${dataset.date} | ${size}`);
+        
+        // Picks and suggestions belong to the previous slice
+        this.velocityPanel.clearPoints();
+        this.updateVelocityGeometry();
+        this.cancelDetection();
+        this.suggestionPanel.clear();
+        this.suggestionPanel.setGroundTruth(groundTruth);
+        
+        this.applyProcessing();
+    }
+    
+    /**
+     * Remove the loaded section from the viewers, map, timeline and sidebar
+     */
+    clearDataset() {
+        this.lodLoader.reset();
+        this.cancelDetection();
+        
+        this.currentData = null;
+        this.gpsTrack = null;
+        this.dataSource = null;
+        this.pois = [];
+        
+        this.viewer1.clear();
+        this.viewer2.clear();
+        this.mapManager.loadTrack([]);
+        this.timeline.setRange(null, null);
+        this.updatePOIList();
+        
+        this.velocityPanel.clearPoints();
+        this.updateVelocityGeometry();
+        this.suggestionPanel.clear();
+        this.suggestionPanel.setGroundTruth(null);
+        this.applyProcessing();
+        
+        this.controls.updateViewerInfo(1, '--');
+        this.controls.updateViewerInfo(2, '--');
+        this.controls.showPlaceholders();
+    }
+    
+    // ===========================
+    // Processing
+    // ===========================
+    
+    /**
+     * Run the processing chain on the target viewer's data in a worker
+     * The other viewer keeps the raw data for comparison; the spectrum panel
+     * shows the target's trace spectrum before and after.
+     */
+    async applyProcessing() {
+        if (this.processingController) {
+            this.processingController.abort();
+            this.processingController = null;
+        }
+        
+        const panel = this.processingPanel;
+        const target = panel.target === 'viewer2' ? this.viewer2 : this.viewer1;
+        const other = target === this.viewer1 ? this.viewer2 : this.viewer1;
+        other.setProcessedData(null);
+        
+        const steps = panel.getActiveSteps();
+        const rows = target.data;
+        if (!rows || rows.length === 0 || this.dataSource === 'live') {
+            target.setProcessedData(null);
+            this.setTimeZero(null);
+            this.spectrumPanel.clear();
+            panel.setStatus(this.dataSource === 'live' && steps.length > 0
+                ? 'Processing is paused in live mode'
+                : '');
+            return;
+        }
+        
+        const width = rows[0].length;
+        const height = rows.length;
+        const sampling = getSampling(target.metadata, height);
+        
+        if (steps.length === 0) {
+            target.setProcessedData(null);
+            this.setTimeZero(null);
+            this.spectrumPanel.update(rows, null, sampling);
+            panel.setStatus('');
+            return;
+        }
+        
+        const controller = new AbortController();
+        this.processingController = controller;
+        panel.setStatus('Processing...');
+        
+        const samples = packRows(rows);
+        
+        try {
+            // Column positions let the chain even out stitched windows (see applyPipeline)
+            const xCoords = target.xCoords;
+            const result = await getWorkerPool().run('processSlice', { samples, width, height, steps, sampling, xCoords }, {
+                // Only hand over the buffer if packRows made a copy - otherwise it is the viewer's own data
+                transfer: samples.buffer !== rows[0].buffer ? [samples.buffer] : [],
+                signal: controller.signal
+            });
+            
+            // Raw data replaced while processing (new load or stitched window) - a newer run follows
+            if (target.data !== rows) return;
+            
+            const processed = unpackRows(result.samples, width, height);
+            this.setTimeZero(result.timeZero);
+            target.setProcessedData(processed, result.rowShifts);
+            this.spectrumPanel.update(rows, processed, sampling, this.getPassband(steps, sampling));
+            panel.setStatus(`Processed: ${panel.describe()}`);
+        } catch (error) {
+            if (error.name === 'AbortError') return;
+            
+            console.warn('Processing failed:', error);
+            target.setProcessedData(null);
+            this.setTimeZero(null);
+            this.spectrumPanel.update(rows, null, sampling);
+            panel.setStatus(`Processing failed: ${error.message}`, true);
+        } finally {
+            if (this.processingController === controller) {
+                this.processingController = null;
+            }
+        }
+    }
+    
+    /**
+     * Measure depths in both viewers from the surface sample set by the chain
+     * Auto time zero puts it at the median first break: the surface row of every
+     * aligned trace, and of the typical raw trace. Positions stay in raw rows -
+     * the aligned viewer maps clicks and markers through its row shifts.
+     */
+    setTimeZero(sample) {
+        if (sample === this.viewer1.timeZero && sample === this.viewer2.timeZero) return;
+        
+        this.viewer1.setTimeZero(sample);
+        this.viewer2.setTimeZero(sample);
+        
+        // POI depths in the sidebar follow the new zero
+        this.updatePOIList();
+        this.updateVelocityGeometry();
+    }
+    
+    /**
+     * Convert two-way time to depth with a calibrated velocity (null = depth range)
+     */
+    setVelocity(velocity) {
+        this.viewer1.setVelocity(velocity);
+        this.viewer2.setVelocity(velocity);
+        this.updatePOIList();
+        
+        this.controls.setStatus(velocity !== null
+            ? `Depths now use ${velocity.toFixed(4)} m/ns`
+            : 'Depths now use the survey depth range');
+    }
+    
+    /**
+     * Give the velocity tool the loaded slice's spacing, sampling and time zero
+     */
+    updateVelocityGeometry() {
+        const metadata = this.viewer1.metadata;
+        const traceSpacingM = this.currentData && metadata ? getTraceSpacing(metadata) : null;
+        if (!traceSpacingM) {
+            this.velocityPanel.setGeometry(null);
+            return;
+        }
+        
+        this.velocityPanel.setGeometry({
+            traceSpacingM,
+            sampleIntervalNs: this.viewer1.getSampleInterval(),
+            timeZero: this.viewer1.timeZero ?? 0,
+            height: metadata.height
+        });
+    }
+    
+    // ===========================
+    // Target Detection
+    // ===========================
+    
+    /**
+     * Look for hyperbolas and voids in Viewer 1's raw data in a worker and
+     * list them as suggested POIs
+     * Hyperbolas are scanned at the flank steepness of typical ground
+     * velocities when the trace spacing is known (see detection.js).
+     */
+    async detectTargets() {
+        this.cancelDetection();
+        
+        const panel = this.suggestionPanel;
+        const rows = this.viewer1.data;
+        if (!rows || rows.length === 0 || this.dataSource === 'live') {
+            panel.setStatus(this.dataSource === 'live' ? 'Stop live mode to detect targets' : 'Load data to detect targets', true);
+            return;
+        }
+        
+        const width = rows[0].length;
+        const height = rows.length;
+        const traceSpacingM = getTraceSpacing(this.viewer1.metadata);
+        const options = {
+            xCoords: this.viewer1.xCoords,
+            timeZero: this.viewer1.timeZero ?? 0,
+            scales: hyperbolaScales(traceSpacingM ? { traceSpacingM, sampleIntervalNs: this.viewer1.getSampleInterval() } : null),
+            minConfidence: 0
+        };
+        
+        const controller = new AbortController();
+        this.detectionController = controller;
+        panel.setBusy(true);
+        panel.setStatus('Scanning for hyperbolas and voids...');
+        
+        const samples = packRows(rows);
+        
+        try {
+            const { candidates } = await getWorkerPool().run('detectTargets', { samples, width, height, options }, {
+                transfer: samples.buffer !== rows[0].buffer ? [samples.buffer] : [],
+                signal: controller.signal
+            });
+            
+            // Another slice was loaded meanwhile
+            if (this.viewer1.data !== rows) return;
+            
+            panel.setSuggestions(candidates);
+            panel.setStatus(candidates.length > 0
+                ? `${candidates.length} candidates - accept, retype or reject each`
+                : 'No targets found');
+        } catch (error) {
+            if (error.name === 'AbortError') return;
+            
+            console.warn('Target detection failed:', error);
+            panel.setStatus(`Detection failed: ${error.message}`, true);
+        } finally {
+            if (this.detectionController === controller) {
+                this.detectionController = null;
+                panel.setBusy(false);
+            }
+        }
+    }
+    
+    cancelDetection() {
+        if (this.detectionController) {
+            this.detectionController.abort();
+            this.detectionController = null;
+            this.suggestionPanel.setBusy(false);
+            this.suggestionPanel.setStatus('');
+        }
+    }
+    
+    /**
+     * Corners of the first bandpass in the chain, for marking on the spectrum
+     */
+    getPassband(steps, sampling) {
+        const step = steps.find(s => s.type === 'bandpass');
+        return step ? bandpassCorners(step.params, sampling) : null;
     }
     
     /**
      * Load data from API
      */
     async loadData(params) {
+        // Only the latest query may render - abort whatever is still in flight
+        this.liveStream.stop();
+        this.cancelLoad();
+        const controller = new AbortController();
+        this.loadController = controller;
+        const { signal } = controller;
+        
+        this.lastQuery = params;
         this.controls.setStatus('Loading GPR data...');
         this.controls.showLoading();
         
         try {
-            // Try to fetch from backend
-            const gprData = await api.getGPRSlice(params);
-            const gpsData = await api.getGPSTrack(params);
+            // Try to fetch from backend - a decimated overview first, detail follows on zoom
+            const [gprData, gpsData] = await Promise.all([
+                api.getGPRSlice({ ...params, zoomLevel: OVERVIEW_ZOOM_LEVEL }, { signal }),
+                api.getGPSTrack(params, { signal })
+            ]);
             
-            // Load into viewers
-            this.viewer1.loadData(gprData);
-            this.viewer2.loadData(gprData);
+            // Load saved POIs for this section
+            const pois = await this.fetchPOIs(
+                params.date,
+                gprData.metadata?.first_trace ?? 0,
+                getFullWidth(gprData, OVERVIEW_ZOOM_LEVEL),
+                signal
+            );
             
-            // Load GPS track into map
-            if (gpsData.points) {
-                this.mapManager.loadTrack(gpsData.points);
-            }
+            // Superseded while the POIs were loading
+            if (signal.aborted) return;
             
-            this.controls.hideLoading();
-            this.controls.hidePlaceholders();
-            this.controls.setStatus(`Loaded data for ${params.date}`);
+            // Prefer the section track sent with the slice - it lines up with the traces
+            const viewerData = this.lodLoader.setOverview(gprData, params, OVERVIEW_ZOOM_LEVEL);
+            this.loadDataset({
+                ...viewerData,
+                gps_track: gprData.gps_track?.length > 0 ? gprData.gps_track : (gpsData.points || [])
+            }, { source: 'backend', pois });
             
         } catch (error) {
+            // Cancelled or superseded by a newer query
+            if (error.name === 'AbortError' || signal.aborted) return;
+            
+            // Backend answered but the data is unusable - say exactly why
+            // rather than hiding the problem behind sample data
+            if (error instanceof SchemaError || (error instanceof api.APIError && !error.isRetryable)) {
+                this.controls.hideLoading();
+                if (!this.viewer1.data) {
+                    this.controls.showPlaceholders();
+                }
+                this.controls.setStatus(`Could not load ${params.date}: ${error.message}`, true);
+                return;
+            }
+            
             console.warn('Backend not available, falling back to sample data');
+            this.connectionMonitor.checkNow();
             this.controls.setStatus('Backend unavailable - loading sample data');
             this.loadSampleData();
+        } finally {
+            if (this.loadController === controller) {
+                this.loadController = null;
+            }
+        }
+    }
+    
+    /**
+     * Resolve a mile post query against the day's GPS track
+     * Returns coordinate query params, or null (with a status message) if it can't be resolved
+     */
+    async resolveMileQuery(params) {
+        const { date, lineId, startMile, endMile } = params;
+        this.controls.setStatus(`Locating miles ${startMile.toFixed(2)} to ${endMile.toFixed(2)}...`);
+        
+        try {
+            const track = await this.getTrackForDate(date, lineId);
+            return { date, lineId, ...resolveMileRange(track, startMile, endMile) };
+        } catch (error) {
+            console.warn('Failed to resolve mile posts:', error);
+            this.controls.setStatus(`Could not locate mile posts: ${error.message}`, true);
+            return null;
+        }
+    }
+    
+    /**
+     * Full GPS track of a date (and survey line) - from the backend, or the loaded track when offline
+     */
+    async getTrackForDate(date, lineId = null) {
+        if (this.isConnected) {
+            const track = await api.getGPSTrack({ date, lineId });
+            return track.points;
+        }
+        
+        if (this.gpsTrack && this.currentData?.date === date) {
+            return this.gpsTrack;
+        }
+        throw new Error('backend is not reachable and no track is loaded for this date');
+    }
+    
+    // ===========================
+    // Live Mode
+    // ===========================
+    
+    /**
+     * Clear the viewers and map and start streaming new traces into them
+     */
+    startLive(transport) {
+        this.cancelLoad();
+        this.lodLoader.reset();
+        
+        this.dataSource = 'live';
+        this.currentData = null;
+        this.gpsTrack = null;
+        this.liveTraceCount = 0;
+        this.pois = [];
+        this.refreshPOIs();
+        
+        // No recording span yet - the survey is still being recorded
+        this.timeline.setRange(null, null);
+        
+        this.viewer1.startLive();
+        this.viewer2.startLive();
+        this.applyProcessing();
+        this.velocityPanel.clearPoints();
+        this.updateVelocityGeometry();
+        this.cancelDetection();
+        this.suggestionPanel.clear();
+        this.suggestionPanel.setGroundTruth(null);
+        this.mapManager.startLiveTrack();
+        this.controls.hidePlaceholders();
+        
+        this.liveStream.start(transport);
+    }
+    
+    handleLiveStateChange(state) {
+        const messages = {
+            connecting: 'Connecting to live stream...',
+            live: 'Live - receiving traces',
+            paused: 'Live display paused - data is still being received',
+            stopped: this.liveTraceCount > 0 ? `Live stream stopped after ${this.liveTraceCount} traces` : null
+        };
+        if (messages[state]) {
+            this.controls.setStatus(messages[state]);
+        }
+    }
+    
+    handleLiveData({ traces, fixes }) {
+        this.viewer1.appendTraces(traces, LIVE_WINDOW_TRACES);
+        this.viewer2.appendTraces(traces, LIVE_WINDOW_TRACES);
+        this.mapManager.appendTrackPoints(fixes);
+        
+        this.liveTraceCount += traces.length;
+        const info = `Live | ${this.liveTraceCount} traces`;
+        this.controls.updateViewerInfo(1, info);
+        this.controls.updateViewerInfo(2, info);
+    }
+    
+    /**
+     * Abort the data load in flight, if any
+     */
+    cancelLoad() {
+        if (this.loadController) {
+            this.loadController.abort();
+            this.loadController = null;
         }
     }
     
@@ -408,9 +1407,43 @@ class GPRApp {
         // Update map position indicator
         this.mapManager.updatePositionIndicator(trackIndex);
         
+        if (point.timestamp) {
+            this.timeline.setTime(Date.parse(point.timestamp));
+        }
+        
         this.controls.setStatus(`Position: Mile ${point.distance_miles.toFixed(2)}`);
     }
     
+    /**
+     * Jump viewers and map to where the survey was at a time (ISO timestamp)
+     * Asks the backend for backend data, otherwise looks the time up in the loaded track
+     */
+    async jumpToTime(time) {
+        let trackIndex = -1;
+        
+        if (this.dataSource === 'backend' && this.isConnected && this.lastQuery) {
+            try {
+                const location = await api.getLocationAtTime(this.lastQuery.date, time);
+                trackIndex = this.mapManager.findNearestTrackPoint(location.lat, location.lon)?.index ?? -1;
+            } catch (error) {
+                console.warn('Failed to get location at time, using loaded track:', error);
+            }
+        }
+        
+        if (trackIndex < 0) {
+            trackIndex = findTrackIndexAtTime(this.gpsTrack, Date.parse(time));
+        }
+        
+        if (trackIndex < 0) {
+            this.controls.setStatus('No track position recorded at that time');
+            return;
+        }
+        
+        this.syncToTrackPosition(trackIndex);
+        const point = this.gpsTrack[trackIndex];
+        this.controls.setStatus(`${new Date(time).toLocaleTimeString()} - Mile ${point.distance_miles.toFixed(2)}`);
+    }
+    
     /**
      * Handle position changes from GPR viewer
      */
@@ -11,16 +11,26 @@ export class MapManager {
         this.markersLayer = null;
         this.positionMarker = null;
         this.poiMarkers = [];
+        this.boundsLayer = null;
+        this.liveTrackLine = null;
         
         // Track data
-        this.gpsTrack = null;
+        this.gpsTrack = null; // Loaded section
+        this.dayTrack = null; // Whole survey of the selected date (see showDataBounds)
         
         // Settings
         this.showMarkers = true;
         
+        // Section selection mode - two clicks on the track pick start and end
+        this.selectingSection = false;
+        this.sectionStart = null;
+        this.sectionStartMarker = null;
+        
         // Callbacks
         this.onPositionClick = null;
         this.onMapHover = null;
+        this.onSectionStart = null;
+        this.onSectionSelect = null;
         
         this.init();
     }
@@ -56,10 +66,23 @@ export class MapManager {
                     lon: e.latlng.lng
                 });
             }
+            
+            // Preview the span from the chosen start to the hovered track point
+            if (this.selectingSection && this.sectionStart) {
+                const nearest = this.findNearestTrackPoint(e.latlng.lat, e.latlng.lng, this.getSelectionTrack());
+                if (nearest) {
+                    this.previewSection(this.sectionStart, nearest);
+                }
+            }
         });
         
         // Handle click on track
         this.map.on('click', (e) => {
+            if (this.selectingSection) {
+                this.handleSectionClick(e.latlng);
+                return;
+            }
+            
             if (this.gpsTrack && this.onPositionClick) {
                 const nearest = this.findNearestTrackPoint(e.latlng.lat, e.latlng.lng);
                 if (nearest) {
@@ -74,6 +97,7 @@ export class MapManager {
      */
     loadTrack(gpsTrack) {
         this.gpsTrack = gpsTrack;
+        this.liveTrackLine = null;
         
         // Clear existing track
         this.trackLayer.clearLayers();
@@ -137,6 +161,43 @@ export class MapManager {
         this.fitToTrack();
     }
     
+    /**
+     * Start an empty track that grows with live GPS fixes
+     */
+    startLiveTrack() {
+        this.trackLayer.clearLayers();
+        this.markersLayer.clearLayers();
+        this.gpsTrack = [];
+        
+        this.liveTrackLine = L.polyline([], {
+            color: '#2ecc71',
+            weight: 4,
+            opacity: 0.8,
+            lineJoin: 'round'
+        });
+        this.trackLayer.addLayer(this.liveTrackLine);
+    }
+    
+    /**
+     * Extend the live track and move the position indicator to the newest fix
+     */
+    appendTrackPoints(points) {
+        if (!this.liveTrackLine || points.length === 0) return;
+        
+        points.forEach(point => {
+            this.gpsTrack.push({ ...point, index: this.gpsTrack.length });
+            this.liveTrackLine.addLatLng([point.lat, point.lon]);
+        });
+        
+        const latest = this.gpsTrack[this.gpsTrack.length - 1];
+        this.updatePositionIndicator(this.gpsTrack.length - 1);
+        
+        // Keep the vehicle in view
+        if (!this.map.getBounds().contains([latest.lat, latest.lon])) {
+            this.map.panTo([latest.lat, latest.lon]);
+        }
+    }
+    
     /**
      * Add mile markers along the track
      */
@@ -227,6 +288,7 @@ export class MapManager {
                 <b>${poi.label}</b><br>
                 Type: ${poi.type}<br>
                 Mile: ${poi.mile_marker?.toFixed(2) || '--'}<br>
+                ${poi.created_by ? `By: ${poi.created_by}<br>` : ''}
                 ${poi.notes || ''}
             `);
             
@@ -236,15 +298,15 @@ export class MapManager {
     }
     
     /**
-     * Find nearest track point to given coordinates
+     * Find nearest track point to given coordinates (on the loaded section unless another track is given)
      */
-    findNearestTrackPoint(lat, lon) {
-        if (!this.gpsTrack) return null;
+    findNearestTrackPoint(lat, lon, track = this.gpsTrack) {
+        if (!track) return null;
         
         let nearest = null;
         let minDistance = Infinity;
         
-        this.gpsTrack.forEach((point, index) => {
+        track.forEach((point, index) => {
             const dist = Math.sqrt(
                 Math.pow(point.lat - lat, 2) + 
                 Math.pow(point.lon - lon, 2)
@@ -277,6 +339,33 @@ export class MapManager {
         this.map.fitBounds(bounds, { padding: [20, 20] });
     }
     
+    /**
+     * Outline the surveyed area of the selected date
+     * bounds: { min_lat, max_lat, min_lon, max_lon }
+     */
+    showDataBounds(bounds, track = null) {
+        this.clearDataBounds();
+        this.dayTrack = track?.length > 1 ? track : null;
+        
+        const corners = [[bounds.min_lat, bounds.min_lon], [bounds.max_lat, bounds.max_lon]];
+        const style = { color: '#2ecc71', weight: 1, dashArray: '4 4', interactive: false };
+        
+        // The surveyed track is where queries may go; the box is the fallback without one
+        this.boundsLayer = track?.length > 1
+            ? L.polyline(track.map(point => [point.lat, point.lon]), { ...style, weight: 3 }).addTo(this.map)
+            : L.rectangle(corners, { ...style, fillOpacity: 0.05 }).addTo(this.map);
+        
+        this.map.fitBounds(corners, { padding: [20, 20] });
+    }
+    
+    clearDataBounds() {
+        this.dayTrack = null;
+        if (this.boundsLayer) {
+            this.map.removeLayer(this.boundsLayer);
+            this.boundsLayer = null;
+        }
+    }
+    
     /**
      * Toggle mile markers visibility
      */
@@ -305,17 +394,17 @@ export class MapManager {
     }
     
     /**
-     * Highlight a section of the track
+     * Highlight a section of the track (the loaded section unless another track is given)
      */
-    highlightSection(startIndex, endIndex) {
+    highlightSection(startIndex, endIndex, track = this.gpsTrack) {
         // Remove existing highlight
         if (this.highlightLayer) {
             this.map.removeLayer(this.highlightLayer);
         }
         
-        if (!this.gpsTrack || startIndex >= endIndex) return;
+        if (!track || startIndex >= endIndex) return;
         
-        const sectionCoords = this.gpsTrack
+        const sectionCoords = track
             .slice(startIndex, endIndex + 1)
             .map(point => [point.lat, point.lon]);
         
@@ -326,6 +415,97 @@ export class MapManager {
         }).addTo(this.map);
     }
     
+    // ===========================
+    // Section Selection
+    // ===========================
+    
+    /**
+     * Track sections are picked from: the whole day's survey when known, so a
+     * section outside the loaded one can be chosen, else the loaded section
+     */
+    getSelectionTrack() {
+        return this.dayTrack || this.gpsTrack;
+    }
+    
+    /**
+     * Enter section selection mode; returns false if there is no track to pick from
+     */
+    startSectionSelect() {
+        const track = this.getSelectionTrack();
+        if (!track || track.length < 2) return false;
+        
+        this.selectingSection = true;
+        this.sectionStart = null;
+        this.clearSectionStartMarker();
+        this.highlightSection(0, 0); // Clears any previous highlight
+        this.map.getContainer().classList.add('selecting-section');
+        return true;
+    }
+    
+    /**
+     * Leave selection mode; keeps the highlight of a completed selection
+     */
+    cancelSectionSelect() {
+        if (this.selectingSection && this.sectionStart) {
+            this.highlightSection(0, 0);
+        }
+        
+        this.selectingSection = false;
+        this.sectionStart = null;
+        this.clearSectionStartMarker();
+        this.map.getContainer().classList.remove('selecting-section');
+    }
+    
+    /**
+     * First click sets the start, second click the end - both snapped to the track
+     * Clicks too far from the track are ignored
+     */
+    handleSectionClick(latlng) {
+        const point = this.findNearestTrackPoint(latlng.lat, latlng.lng, this.getSelectionTrack());
+        if (!point) return;
+        
+        if (!this.sectionStart) {
+            this.sectionStart = point;
+            this.sectionStartMarker = L.circleMarker([point.lat, point.lon], {
+                radius: 6,
+                color: '#e74c3c',
+                fillColor: '#e74c3c',
+                fillOpacity: 1
+            }).addTo(this.map);
+            
+            if (this.onSectionStart) {
+                this.onSectionStart(point);
+            }
+            return;
+        }
+        
+        // Same point twice is not a section - wait for a different end
+        if (point.index === this.sectionStart.index) return;
+        
+        const start = this.sectionStart;
+        this.previewSection(start, point);
+        
+        this.selectingSection = false;
+        this.sectionStart = null;
+        this.clearSectionStartMarker();
+        this.map.getContainer().classList.remove('selecting-section');
+        
+        if (this.onSectionSelect) {
+            this.onSectionSelect(start, point);
+        }
+    }
+    
+    previewSection(start, end) {
+        this.highlightSection(Math.min(start.index, end.index), Math.max(start.index, end.index), this.getSelectionTrack());
+    }
+    
+    clearSectionStartMarker() {
+        if (this.sectionStartMarker) {
+            this.map.removeLayer(this.sectionStartMarker);
+            this.sectionStartMarker = null;
+        }
+    }
+    
     /**
      * Get track info summary
      */
@@ -334,13 +514,15 @@ export class MapManager {
             return null;
         }
         
+        // Sections start part way along the day's track - report their own length
+        const firstPoint = this.gpsTrack[0];
         const lastPoint = this.gpsTrack[this.gpsTrack.length - 1];
         
         return {
             totalPoints: this.gpsTrack.length,
-            totalDistanceKm: lastPoint.distance_km,
-            totalDistanceMiles: lastPoint.distance_miles,
-            startTime: this.gpsTrack[0].timestamp,
+            totalDistanceKm: lastPoint.distance_km - firstPoint.distance_km,
+            totalDistanceMiles: lastPoint.distance_miles - firstPoint.distance_miles,
+            startTime: firstPoint.timestamp,
             endTime: lastPoint.timestamp
         };
     }
@@ -1,21 +1,178 @@
 /**
  * Mock Data Generator
  * Generates realistic sample GPR and GPS data for testing
+ *
+ * Surveys are generated from a scenario (see DEFAULT_SCENARIO) with a seeded
+ * random source, so the same scenario always produces the same data, along
+ * with a ground-truth POI for every target buried in it.
  */
 
+/**
+ * Sample survey along a 60 m stretch of railway in Ontario, Canada
+ * Target positions are in slice units: x in traces, depth in samples below the surface.
+ */
+export const DEFAULT_SCENARIO = {
+    seed: 20250615,
+    
+    // Length and sampling
+    traces: 1200,
+    samples: 200,
+    depthRangeM: [0, 6],
+    
+    // Radar wave velocity (m/ns) and along-track trace spacing (m), which shape
+    // the target hyperbolas
+    velocity: 0.1,
+    traceSpacingM: 0.05,
+    
+    // Route, driven at a constant speed from startTime. Its length matches the
+    // traces times traceSpacingM (about 60 m), so the length over the traces
+    // gives the same spacing as metadata.trace_spacing_m
+    route: { startLat: 42.9647, startLon: -81.2897, endLat: 42.964977, endLon: -81.289068 },
+    gpsPoints: 60,
+    startTime: '2025-06-15T08:00:00Z',
+    speedMph: 30,
+    
+    // GPS inaccuracy in degrees: a slow wander plus random jitter per fix,
+    // kept to a few tenths of a metre so it barely lengthens the short route
+    gpsDrift: { wander: 0.000002, jitter: 0.000001 },
+    
+    // Peak-to-peak amplitude of the random noise added to every sample
+    noise: 30,
+    
+    // Direct wave and ground surface reflection: a bright band `thickness` samples
+    // deep starting at `sample` - time zero, which layers and targets hang from
+    surface: { sample: 10, thickness: 3, amplitude: 90 },
+    
+    // Soil layer reflections strictly between top and bottom (samples below
+    // the surface), optionally rippling along the line
+    layers: [
+        { top: 20, bottom: 28, amplitude: 40 },
+        { top: 55, bottom: 65, amplitude: 30, ripple: 10, rippleRate: 0.08 },
+        { top: 100, bottom: 112, amplitude: 25 },
+        { top: 140, bottom: 155, amplitude: 20 },
+        { top: 175, bottom: 185, amplitude: 15 }
+    ],
+    
+    // Buried targets - the shape follows from the type unless given (see TARGET_DEFAULTS)
+    targets: [
+        { type: 'culvert', x: 80, depth: 38, amplitude: 60 },
+        { type: 'pipe', x: 180, depth: 55, amplitude: 50 },
+        { type: 'anomaly', x: 300, depth: 42, amplitude: 55 },
+        { type: 'anomaly', x: 420, depth: 70, amplitude: 45 },
+        { type: 'culvert', x: 520, depth: 35, amplitude: 58 },
+        { type: 'pipe', x: 650, depth: 60, amplitude: 48 },
+        { type: 'anomaly', x: 780, depth: 48, amplitude: 52 },
+        { type: 'anomaly', x: 880, depth: 80, amplitude: 42 },
+        { type: 'culvert', x: 980, depth: 40, amplitude: 56 },
+        { type: 'pipe', x: 1100, depth: 52, amplitude: 50 },
+        
+        // Rebar and utilities
+        { type: 'other', shape: 'vertical', x: 120, depth: 15, size: 55, amplitude: 50 },
+        { type: 'other', shape: 'vertical', x: 350, depth: 20, size: 35, amplitude: 45 },
+        { type: 'other', shape: 'vertical', x: 580, depth: 18, size: 47, amplitude: 48 },
+        { type: 'other', shape: 'vertical', x: 820, depth: 22, size: 38, amplitude: 44 },
+        { type: 'other', shape: 'vertical', x: 1050, depth: 16, size: 42, amplitude: 46 },
+        
+        { type: 'void', x: 260, depth: 90, size: 25, thickness: 15, amplitude: 35 },
+        { type: 'void', x: 700, depth: 110, size: 30, thickness: 20, amplitude: 30 },
+        { type: 'void', x: 950, depth: 95, size: 22, thickness: 18, amplitude: 32 }
+    ]
+};
+
+/**
+ * Per-shape target defaults
+ *   hyperbola: point reflector - the flanks follow from the scenario velocity and trace spacing
+ *   vertical:  rebar or utility - size is the length in samples below depth
+ *   void:      diffuse cavity - size is the horizontal radius in traces, thickness the vertical radius
+ */
+const TARGET_DEFAULTS = {
+    hyperbola: { amplitude: 50 },
+    vertical: { size: 40, amplitude: 45 },
+    void: { size: 25, thickness: 15, amplitude: 30 }
+};
+
+/**
+ * Seeded pseudo-random source (mulberry32) returning numbers in [0, 1)
+ */
+export function createRandom(seed) {
+    let state = seed >>> 0;
+    return () => {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+/**
+ * Fill a partial scenario from the defaults and check it is usable
+ * layers and targets replace the defaults' lists rather than merging with them
+ */
+export function resolveScenario(overrides = {}) {
+    const scenario = {
+        ...DEFAULT_SCENARIO,
+        ...overrides,
+        route: { ...DEFAULT_SCENARIO.route, ...overrides.route },
+        gpsDrift: { ...DEFAULT_SCENARIO.gpsDrift, ...overrides.gpsDrift },
+        surface: { ...DEFAULT_SCENARIO.surface, ...overrides.surface }
+    };
+    
+    const { traces, samples, gpsPoints, surface } = scenario;
+    if (!Number.isInteger(traces) || traces < 2) {
+        throw new Error(`Scenario traces must be an integer of at least 2, got ${traces}`);
+    }
+    if (!Number.isInteger(samples) || samples < 1) {
+        throw new Error(`Scenario samples must be a positive integer, got ${samples}`);
+    }
+    if (!Number.isInteger(gpsPoints) || gpsPoints < 2) {
+        throw new Error(`Scenario gpsPoints must be an integer of at least 2, got ${gpsPoints}`);
+    }
+    if (!Number.isInteger(surface.sample) || surface.sample < 0 || surface.sample >= samples) {
+        throw new Error(`Scenario surface sample must be an integer within the ${samples} samples, got ${surface.sample}`);
+    }
+    if (!(scenario.velocity > 0) || !(scenario.traceSpacingM > 0)) {
+        throw new Error(`Scenario velocity and traceSpacingM must be positive, got ${scenario.velocity} and ${scenario.traceSpacingM}`);
+    }
+    
+    scenario.targets = scenario.targets.map((target, i) => {
+        if (!Number.isFinite(target.x) || !Number.isFinite(target.depth)) {
+            throw new Error(`Scenario target ${i} (${target.type}) needs numeric x and depth, got x=${target.x}, depth=${target.depth}`);
+        }
+        
+        const shape = target.shape || (target.type === 'void' ? 'void' : 'hyperbola');
+        if (!TARGET_DEFAULTS[shape]) {
+            throw new Error(`Scenario target ${i} has unknown shape: ${shape}`);
+        }
+        return { ...TARGET_DEFAULTS[shape], ...target, shape };
+    });
+    
+    return scenario;
+}
+
 /**
  * Generate a realistic GPS track along a railway line
  * Simulates a train route with slight variations
+ * options: { random, wander, jitter, startTime, speedMph } - see DEFAULT_SCENARIO
  */
-export function generateMockGPSTrack(startLat, startLon, endLat, endLon, numPoints = 500) {
+export function generateMockGPSTrack(startLat, startLon, endLat, endLon, numPoints = 500, options = {}) {
+    const {
+        random = Math.random,
+        wander = DEFAULT_SCENARIO.gpsDrift.wander,
+        jitter = DEFAULT_SCENARIO.gpsDrift.jitter,
+        startTime = DEFAULT_SCENARIO.startTime,
+        speedMph = DEFAULT_SCENARIO.speedMph
+    } = options;
+    
     const track = [];
+    const baseTime = Date.parse(startTime);
     let cumulativeDistance = 0;
     
     for (let i = 0; i < numPoints; i++) {
         const t = i / (numPoints - 1);
         
         // Linear interpolation with some random drift (simulating GPS inaccuracy)
-        const drift = 0.0001 * Math.sin(i * 0.3) + (Math.random() - 0.5) * 0.00005;
+        const drift = wander * Math.sin(i * 0.3) + (random() - 0.5) * jitter;
         const lat = startLat + (endLat - startLat) * t + drift;
         const lon = startLon + (endLon - startLon) * t + drift * 0.5;
         
@@ -29,10 +186,9 @@ export function generateMockGPSTrack(startLat, startLon, endLat, endLon, numPoin
         // Convert to miles
         const miles = cumulativeDistance * 0.621371;
         
-        // Generate timestamp (assuming 30 mph average speed on railway)
-        const baseTime = new Date('2025-06-15T08:00:00Z');
-        const hoursElapsed = miles / 30;
-        const timestamp = new Date(baseTime.getTime() + hoursElapsed * 3600 * 1000);
+        // Generate timestamp at the survey speed
+        const hoursElapsed = miles / speedMph;
+        const timestamp = new Date(baseTime + hoursElapsed * 3600 * 1000);
         
         track.push({
             index: i,
@@ -41,8 +197,8 @@ export function generateMockGPSTrack(startLat, startLon, endLat, endLon, numPoin
             distance_km: cumulativeDistance,
             distance_miles: miles,
             timestamp: timestamp.toISOString(),
-            elevation: 200 + Math.sin(i * 0.1) * 20 + Math.random() * 5,
-            speed_kmh: 40 + Math.random() * 20
+            elevation: 200 + Math.sin(i * 0.1) * 20 + random() * 5,
+            speed_kmh: 40 + random() * 20
         });
     }
     
@@ -66,70 +222,107 @@ function haversineDistance(lat1, lon1, lat2, lon2) {
 /**
  * Generate realistic GPR slice data
  * Creates a 2D array simulating ground penetrating radar returns
+ * (rows are Float32Array views of one buffer, so it can be transferred from a worker)
+ * scenario overrides DEFAULT_SCENARIO (width and height win over its traces and samples)
  */
-export function generateMockGPRData(width = 1200, height = 200) {
-    const data = [];
+export function generateMockGPRData(width = 1200, height = 200, scenario = {}) {
+    const resolved = resolveScenario({ ...scenario, traces: width, samples: height });
+    return renderSlice(resolved, createRandom(resolved.seed));
+}
+
+/**
+ * Render the slice row by row, reporting progress (0 to 1) about every 5%
+ */
+function renderSlice(scenario, random, onProgress = null) {
+    const { traces, samples } = scenario;
+    const values = new Float32Array(traces * samples);
+    const progressStep = Math.max(1, Math.round(samples / 20));
     
-    // Create base layer pattern (soil layers)
-    for (let y = 0; y < height; y++) {
-        const row = [];
-        const depth = y / height; // 0 to 1, represents depth
+    const data = [];
+    for (let y = 0; y < samples; y++) {
+        const row = values.subarray(y * traces, (y + 1) * traces);
+        for (let x = 0; x < traces; x++) {
+            row[x] = sampleIntensity(x, y, scenario, random);
+        }
+        data.push(row);
         
-        for (let x = 0; x < width; x++) {
-            // Base signal decreases with depth
-            let intensity = 128 - depth * 60;
-            
-            // Add horizontal layer reflections
-            if (y > 20 && y < 28) intensity += 40; // Surface layer
-            if (y > 55 && y < 65) intensity += 30 + Math.sin(x * 0.08) * 10; // Subsurface layer
-            if (y > 100 && y < 112) intensity += 25; // Deeper layer
-            if (y > 140 && y < 155) intensity += 20; // Deep layer
-            if (y > 175 && y < 185) intensity += 15; // Very deep layer
-            
-            // Add some random noise
-            intensity += (Math.random() - 0.5) * 30;
+        if (onProgress && ((y + 1) % progressStep === 0 || y === samples - 1)) {
+            onProgress((y + 1) / samples);
+        }
+    }
+    return data;
+}
+
+/**
+ * Simulated radar return at trace x, sample y
+ */
+function sampleIntensity(x, y, scenario, random) {
+    const depth = y / scenario.samples; // 0 to 1, represents depth
+    
+    // Base signal decreases with depth
+    let intensity = 128 - depth * 60;
             
-            // Add many hyperbolic reflections (typical GPR response to point objects)
-            // Spread across the longer width
-            intensity += addHyperbola(x, y, 80, 38, 0.3) * 60;    // Culvert #1
-            intensity += addHyperbola(x, y, 180, 55, 0.25) * 50;  // Pipe #1
-            intensity += addHyperbola(x, y, 300, 42, 0.35) * 55;  // Object #1
-            intensity += addHyperbola(x, y, 420, 70, 0.2) * 45;   // Deeper object
-            intensity += addHyperbola(x, y, 520, 35, 0.32) * 58;  // Culvert #2
-            intensity += addHyperbola(x, y, 650, 60, 0.28) * 48;  // Pipe #2
-            intensity += addHyperbola(x, y, 780, 48, 0.3) * 52;   // Object #2
-            intensity += addHyperbola(x, y, 880, 80, 0.22) * 42;  // Deep feature
-            intensity += addHyperbola(x, y, 980, 40, 0.33) * 56;  // Culvert #3
-            intensity += addHyperbola(x, y, 1100, 52, 0.27) * 50; // Pipe #3
+    // Direct wave and ground surface reflection - the first break
+    const { surface } = scenario;
+    if (y >= surface.sample && y < surface.sample + surface.thickness) {
+        intensity += surface.amplitude;
+    }
+    
+    // Horizontal layer reflections, below the surface
+    const below = y - surface.sample;
+    for (const layer of scenario.layers) {
+        if (below > layer.top && below < layer.bottom) {
+            intensity += layer.amplitude;
+            if (layer.ripple) {
+                intensity += Math.sin(x * (layer.rippleRate ?? 0.08)) * layer.ripple;
+            }
+        }
+    }
             
-            // Add some vertical features (rebar, utilities)
-            if (Math.abs(x - 120) < 2 && y > 15 && y < 70) intensity += 50;
-            if (Math.abs(x - 350) < 2 && y > 20 && y < 55) intensity += 45;
-            if (Math.abs(x - 580) < 2 && y > 18 && y < 65) intensity += 48;
-            if (Math.abs(x - 820) < 2 && y > 22 && y < 60) intensity += 44;
-            if (Math.abs(x - 1050) < 2 && y > 16 && y < 58) intensity += 46;
+    // Add some random noise
+    intensity += (random() - 0.5) * scenario.noise;
             
-            // Add some void/cavity signatures (diffuse areas)
-            intensity += addVoid(x, y, 260, 90, 25, 15) * 35;
-            intensity += addVoid(x, y, 700, 110, 30, 20) * 30;
-            intensity += addVoid(x, y, 950, 95, 22, 18) * 32;
+    for (const target of scenario.targets) {
+        intensity += targetResponse(target, x, below, scenario, random);
+    }
             
-            // Clamp to valid range
-            intensity = Math.max(0, Math.min(255, Math.round(intensity)));
-            row.push(intensity);
-        }
-        data.push(row);
+    // Clamp to valid range
+    return Math.max(0, Math.min(255, Math.round(intensity)));
+}
+
+/**
+ * Return of a target at trace x, `below` samples under the surface
+ */
+function targetResponse(target, x, below, scenario, random) {
+    switch (target.shape) {
+        case 'vertical':
+            return Math.abs(x - target.x) < 2 && below > target.depth && below < target.depth + target.size
+                ? target.amplitude
+                : 0;
+        case 'void':
+            return addVoid(x, below, target.x, target.depth, target.size, target.thickness, random) * target.amplitude;
+        default:
+            return addHyperbola(x, below, target.x, target.depth, traceSpacingInSamples(scenario)) * target.amplitude;
     }
-    
-    return data;
+}
+
+/**
+ * Trace spacing in depth samples - the horizontal scale of a hyperbola
+ */
+function traceSpacingInSamples(scenario) {
+    const [minDepth, maxDepth] = scenario.depthRangeM;
+    return scenario.traceSpacingM * scenario.samples / (maxDepth - minDepth);
 }
 
 /**
  * Generate hyperbolic reflection pattern (characteristic of buried objects in GPR)
+ * The apex is at (centerX, centerY), where the object is; the flanks follow
+ * the travel time to it, sqrt(depth² + offset²), with spacing in samples per trace
+ * y and centerY are measured from the surface, which the travel time starts at
  */
-function addHyperbola(x, y, centerX, centerY, spread) {
-    const dx = (x - centerX) * spread;
-    const hypY = centerY + Math.sqrt(1 + dx * dx) * 8;
+function addHyperbola(x, y, centerX, centerY, spacing) {
+    const offset = (x - centerX) * spacing;
+    const hypY = Math.sqrt(centerY * centerY + offset * offset);
     const distance = Math.abs(y - hypY);
     
     if (distance < 3) {
@@ -141,74 +334,140 @@ function addHyperbola(x, y, centerX, centerY, spread) {
 /**
  * Generate void/cavity signature (diffuse reflection)
  */
-function addVoid(x, y, centerX, centerY, radiusX, radiusY) {
+function addVoid(x, y, centerX, centerY, radiusX, radiusY, random) {
     const dx = (x - centerX) / radiusX;
     const dy = (y - centerY) / radiusY;
     const dist = Math.sqrt(dx * dx + dy * dy);
     
     if (dist < 1) {
-        return Math.exp(-dist * 2) * (0.8 + Math.random() * 0.4);
+        return Math.exp(-dist * 2) * (0.8 + random() * 0.4);
     }
     return 0;
 }
 
 /**
- * Generate complete mock dataset for testing
+ * Position along the track at fraction t (0 to 1) of its points
+ */
+function trackPositionAt(track, t) {
+    const index = t * (track.length - 1);
+    const i = Math.min(Math.floor(index), track.length - 2);
+    const f = index - i;
+    const a = track[i];
+    const b = track[i + 1];
+    return {
+        lat: a.lat + (b.lat - a.lat) * f,
+        lon: a.lon + (b.lon - a.lon) * f,
+        distance_miles: a.distance_miles + (b.distance_miles - a.distance_miles) * f
+    };
+}
+
+/**
+ * One POI per scenario target inside the slice, where it was actually buried
+ * Targets outside still show their flanks but have no POI
+ * slice_y is the target's sample row, depth_m its depth below the surface
  */
-export function generateMockDataset() {
-    // Default coordinates (simulating a longer railway section in Ontario, Canada)
-    // Extended route for more data
-    const startLat = 42.9647;
-    const startLon = -81.2897;
-    const endLat = 43.0556;
-    const endLon = -81.0823;
+function groundTruthPOIs(scenario, track) {
+    const [minDepth, maxDepth] = scenario.depthRangeM;
+    const surfaceSample = scenario.surface.sample;
+    const counts = {};
+    
+    const inside = scenario.targets.filter(target =>
+        target.x >= 0 && target.x < scenario.traces &&
+        target.depth >= 0 && surfaceSample + target.depth < scenario.samples);
     
-    // Generate GPS track (500 points for longer track)
-    const gpsTrack = generateMockGPSTrack(startLat, startLon, endLat, endLon, 500);
+    return inside.map((target, i) => {
+        counts[target.type] = (counts[target.type] || 0) + 1;
+        const position = trackPositionAt(track, target.x / (scenario.traces - 1));
+        
+        return {
+            id: `truth-${i + 1}`,
+            type: target.type,
+            label: target.label || `${target.type.charAt(0).toUpperCase() + target.type.slice(1)} #${counts[target.type]}`,
+            slice_x: target.x,
+            slice_y: surfaceSample + target.depth,
+            depth_m: (maxDepth - minDepth) * target.depth / scenario.samples,
+            lat: position.lat,
+            lon: position.lon,
+            mile_marker: position.distance_miles,
+            shape: target.shape
+        };
+    });
+}
+
+/**
+ * GPS track of a resolved scenario's route
+ */
+function scenarioTrack(scenario) {
+    const { route } = scenario;
+    return generateMockGPSTrack(route.startLat, route.startLon, route.endLat, route.endLon, scenario.gpsPoints, {
+        random: createRandom(scenario.seed),
+        wander: scenario.gpsDrift.wander,
+        jitter: scenario.gpsDrift.jitter,
+        startTime: scenario.startTime,
+        speedMph: scenario.speedMph
+    });
+}
+
+/**
+ * Generate complete mock dataset for testing
+ * scenario overrides DEFAULT_SCENARIO; the result includes ground_truth POIs
+ * options.onProgress receives the fraction of the slice generated so far
+ *
+ * GPS and radar draw from separate random streams, so changing the route
+ * or drift leaves the radar data untouched and vice versa.
+ */
+export function generateMockDataset(scenario = {}, { onProgress = null } = {}) {
+    const resolved = resolveScenario(scenario);
+    const { route } = resolved;
     
-    // Generate GPR data (1200 x 200 for more detail)
-    const gprData = generateMockGPRData(1200, 200);
+    const gpsTrack = scenarioTrack(resolved);
+    const gprData = renderSlice(resolved, createRandom(resolved.seed + 1), onProgress);
     
     // Calculate total distance
     const totalDistance = gpsTrack[gpsTrack.length - 1].distance_km;
     const totalMiles = gpsTrack[gpsTrack.length - 1].distance_miles;
     
     return {
-        date: '2025-06-15',
-        start_lat: startLat,
-        start_lon: startLon,
-        end_lat: endLat,
-        end_lon: endLon,
+        date: resolved.startTime.slice(0, 10),
+        start_lat: route.startLat,
+        start_lon: route.startLon,
+        end_lat: route.endLat,
+        end_lon: route.endLon,
         gps_track: gpsTrack,
         gpr_data: gprData,
-        width: gprData[0].length,
-        height: gprData.length,
+        width: resolved.traces,
+        height: resolved.samples,
+        ground_truth: groundTruthPOIs(resolved, gpsTrack),
         metadata: {
             total_distance_km: totalDistance,
             total_distance_miles: totalMiles,
-            depth_range_m: [0, 6],
+            depth_range_m: resolved.depthRangeM,
             recording_start: gpsTrack[0].timestamp,
             recording_end: gpsTrack[gpsTrack.length - 1].timestamp,
             sample_rate: 'simulated',
-            antenna_frequency: '400 MHz (simulated)'
+            sample_interval_ns: 2 * ((resolved.depthRangeM[1] - resolved.depthRangeM[0]) / resolved.samples) / resolved.velocity,
+            trace_spacing_m: resolved.traceSpacingM,
+            antenna_frequency: '400 MHz (simulated)',
+            seed: resolved.seed
         }
     };
 }
 
 /**
  * Get mock POI data (pre-marked points of interest)
+ * Each sits on the default scenario's track at its slice_x
  */
 export function getMockPOIs() {
+    const scenario = resolveScenario();
+    const track = scenarioTrack(scenario);
+    
     return [
         {
             id: 'poi-1',
             type: 'culvert',
             label: 'Culvert #1',
             slice_x: 80,
-            slice_y: 38,
-            lat: 42.9712,
-            lon: -81.2765,
-            mile_marker: 0.42,
+            slice_y: 48,
             notes: 'Metal culvert, approx 24" diameter'
         },
         {
@@ -216,10 +475,7 @@ export function getMockPOIs() {
             type: 'pipe',
             label: 'Utility Pipe #1',
             slice_x: 180,
-            slice_y: 55,
-            lat: 42.9823,
-            lon: -81.2556,
-            mile_marker: 1.14,
+            slice_y: 65,
             notes: 'Possible water main'
         },
         {
@@ -227,10 +483,7 @@ export function getMockPOIs() {
             type: 'void',
             label: 'Void Area',
             slice_x: 260,
-            slice_y: 90,
-            lat: 42.9912,
-            lon: -81.2378,
-            mile_marker: 1.72,
+            slice_y: 100,
             notes: 'Subsurface void - investigate'
         },
         {
@@ -238,10 +491,7 @@ export function getMockPOIs() {
             type: 'anomaly',
             label: 'Unknown Feature',
             slice_x: 420,
-            slice_y: 70,
-            lat: 43.0089,
-            lon: -81.1978,
-            mile_marker: 2.89,
+            slice_y: 80,
             notes: 'Deep anomaly - needs investigation'
         },
         {
@@ -249,11 +499,86 @@ export function getMockPOIs() {
             type: 'culvert',
             label: 'Culvert #2',
             slice_x: 520,
-            slice_y: 35,
-            lat: 43.0178,
-            lon: -81.1756,
-            mile_marker: 3.56,
+            slice_y: 45,
             notes: 'Concrete culvert'
         }
-    ];
-}
\ No newline at end of file
+    ].map(poi => {
+        const position = trackPositionAt(track, poi.slice_x / (scenario.traces - 1));
+        return { ...poi, lat: position.lat, lon: position.lon, mile_marker: position.distance_miles };
+    });
+}
+
+// ===========================
+// Live Stream Stand-in
+// ===========================
+
+// Default scenario with target defaults filled in, resolved on first use
+let liveScenario = null;
+
+/**
+ * Generate one GPR trace (a column of samples) at trace position x
+ * Features of the default scenario repeat every `period` traces
+ */
+export function generateMockTrace(x, height = 200, period = 1200) {
+    liveScenario = liveScenario || resolveScenario();
+    const scenario = { ...liveScenario, samples: height };
+    
+    const trace = new Array(height);
+    for (let y = 0; y < height; y++) {
+        trace[y] = sampleIntensity(x % period, y, scenario, Math.random);
+    }
+    return trace;
+}
+
+/**
+ * Stand-in for a live acquisition stream, for testing without hardware
+ * Emits the same messages as the backend stream: one 'meta' message, then a
+ * 'trace' message per trace with a GPS fix attached to every few traces
+ * Returns a function that stops the stream
+ */
+export function startMockLiveStream(onMessage, { intervalMs = 100, tracesPerTick = 5, height = 200 } = {}) {
+    // Drive along the sample route, about 5 m per trace
+    const { startLat, startLon, endLat, endLon } = DEFAULT_SCENARIO.route;
+    const heading = Math.atan2(endLat - startLat, endLon - startLon);
+    const stepDeg = 0.00005;
+    
+    let traceIndex = 0;
+    let lat = startLat;
+    let lon = startLon;
+    let distanceKm = 0;
+    
+    onMessage({
+        type: 'meta',
+        height,
+        depth_range_m: [0, 6],
+        antenna_frequency: '400 MHz (simulated)',
+        started_at: new Date().toISOString()
+    });
+    
+    const timer = setInterval(() => {
+        for (let i = 0; i < tracesPerTick; i++) {
+            const nextLat = lat + Math.sin(heading) * stepDeg + (Math.random() - 0.5) * 0.000005;
+            const nextLon = lon + Math.cos(heading) * stepDeg + (Math.random() - 0.5) * 0.000005;
+            distanceKm += haversineDistance(lat, lon, nextLat, nextLon);
+            lat = nextLat;
+            lon = nextLon;
+            
+            const withFix = i === tracesPerTick - 1;
+            onMessage({
+                type: 'trace',
+                trace_index: traceIndex,
+                samples: generateMockTrace(traceIndex, height),
+                gps: withFix ? {
+                    lat,
+                    lon,
+                    distance_km: distanceKm,
+                    distance_miles: distanceKm * 0.621371,
+                    timestamp: new Date().toISOString()
+                } : null
+            });
+            traceIndex++;
+        }
+    }, intervalMs);
+    
+    return () => clearInterval(timer);
+}
@@ -0,0 +1,318 @@
+/**
+ * Offline Queue Module
+ * Keeps POI writes in IndexedDB while the backend is unreachable
+ * and replays them in order once it is back
+ */
+
+import * as api from './api.js';
+import { getBaseUrl } from './backendConfig.js';
+
+const DB_NAME = 'gpr-offline-queue';
+const DB_VERSION = 1;
+const STORE_NAME = 'operations';
+
+// Retry backoff (doubles on every failed attempt)
+const RETRY_BASE_MS = 2000;
+const RETRY_MAX_MS = 60000;
+
+/**
+ * Open (and create if needed) the queue database
+ */
+function openDatabase() {
+    return new Promise((resolve, reject) => {
+        if (!window.indexedDB) {
+            reject(new Error('IndexedDB not supported'));
+            return;
+        }
+        
+        const request = indexedDB.open(DB_NAME, DB_VERSION);
+        
+        request.onupgradeneeded = () => {
+            request.result.createObjectStore(STORE_NAME, { keyPath: 'seq', autoIncrement: true });
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+/**
+ * Whether a queued operation belongs to the active backend profile
+ * Operations queued before they recorded their backend go to whichever is active.
+ */
+function isForActiveBackend(operation) {
+    return !operation.backend || operation.backend === getBaseUrl();
+}
+
+/**
+ * Wrap an IDBRequest in a promise
+ */
+function promisify(request) {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+export class OfflineQueue {
+    constructor() {
+        this.db = null;
+        this.pendingCount = 0;
+        
+        // Retry state
+        this.retryAttempt = 0;
+        this.retryTimer = null;
+        this.isFlushing = false;
+        
+        // Callbacks
+        this.onPendingChange = null;
+        this.onPOISaved = null;
+        this.onOperationFailed = null;
+    }
+    
+    /**
+     * Open the database and resume replaying anything left from a previous session
+     */
+    async init() {
+        try {
+            this.db = await openDatabase();
+        } catch (error) {
+            console.warn('Offline queue unavailable, POI changes will not survive outages:', error);
+            return;
+        }
+        
+        await this.updatePendingCount();
+        this.scheduleRetry();
+    }
+    
+    // ===========================
+    // Public API
+    // ===========================
+    
+    /**
+     * Send a POI change to the backend, or queue it if the backend is unreachable.
+     * Operations look like { type: 'create' | 'update' | 'delete', poiId, payload }.
+     * Returns true if the change was queued instead of sent.
+     */
+    async submit(operation) {
+        // Anything behind a queued change must wait its turn to keep ordering
+        if (this.db && this.pendingCount > 0) {
+            await this.enqueue(operation);
+            return true;
+        }
+        
+        try {
+            await this.execute(operation);
+            return false;
+        } catch (error) {
+            if (this.db && error.isRetryable) {
+                await this.enqueue(operation);
+                return true;
+            }
+            throw error;
+        }
+    }
+    
+    /**
+     * Drop all queued changes for a POI that never reached the backend.
+     * Returns true if a queued create was found (so nothing needs deleting remotely).
+     */
+    async discard(poiId) {
+        if (!this.db) return false;
+        
+        const operations = await this.getAll();
+        const related = operations.filter(op => op.poiId === poiId);
+        const hadCreate = related.some(op => op.type === 'create');
+        
+        if (hadCreate) {
+            const store = this.db.transaction(STORE_NAME, 'readwrite').objectStore(STORE_NAME);
+            await Promise.all(related.map(op => promisify(store.delete(op.seq))));
+            await this.updatePendingCount();
+        }
+        
+        return hadCreate;
+    }
+    
+    /**
+     * Get POIs that are created locally but not yet saved, optionally for one date
+     */
+    async getPendingPOIs(date = null) {
+        if (!this.db) return [];
+        
+        const operations = await this.getAll();
+        return operations
+            .filter(op => op.type === 'create' && (!date || op.payload.date === date))
+            .map(op => ({ ...op.payload, id: op.poiId }));
+    }
+    
+    /**
+     * Whether the create of a local POI is waiting in the queue
+     */
+    async hasQueuedCreate(poiId) {
+        if (!this.db) return false;
+        
+        const operations = await this.getAll();
+        return operations.some(op => op.type === 'create' && op.poiId === poiId);
+    }
+    
+    /**
+     * The active backend profile changed - count and replay its own operations
+     * Operations queued for other backends wait until their profile is active again.
+     */
+    async handleBackendChange() {
+        if (!this.db) return;
+        
+        clearTimeout(this.retryTimer);
+        this.retryTimer = null;
+        this.retryAttempt = 0;
+        
+        await this.updatePendingCount();
+        this.scheduleRetry();
+    }
+    
+    /**
+     * Replay queued operations in order until the queue is empty or the backend fails again
+     */
+    async flush() {
+        if (!this.db || this.isFlushing) return;
+        this.isFlushing = true;
+        
+        try {
+            let operation;
+            while ((operation = await this.peek())) {
+                try {
+                    await this.execute(operation);
+                } catch (error) {
+                    if (error.isRetryable) {
+                        this.scheduleRetry();
+                        return;
+                    }
+                    
+                    // Rejected by the backend - retrying will not help
+                    console.error('Dropping rejected POI change:', operation, error);
+                    if (this.onOperationFailed) {
+                        this.onOperationFailed(operation, error);
+                    }
+                }
+                
+                await this.remove(operation.seq);
+                await this.updatePendingCount();
+            }
+            
+            this.retryAttempt = 0;
+        } finally {
+            this.isFlushing = false;
+        }
+    }
+    
+    // ===========================
+    // Replay
+    // ===========================
+    
+    async execute(operation) {
+        switch (operation.type) {
+            case 'create': {
+                const saved = await api.createPOI(operation.payload);
+                await this.remapPOIId(operation.poiId, saved.id);
+                if (this.onPOISaved) {
+                    this.onPOISaved(operation.poiId, saved);
+                }
+                break;
+            }
+            case 'update':
+                await api.updatePOI(operation.poiId, operation.payload);
+                break;
+            case 'delete':
+                try {
+                    await api.deletePOI(operation.poiId);
+                } catch (error) {
+                    // Already gone on the backend - that is what the delete wanted
+                    if (error.status !== 404) throw error;
+                }
+                break;
+            default:
+                throw new Error(`Unknown POI operation: ${operation.type}`);
+        }
+    }
+    
+    /**
+     * Wait with exponential backoff, then replay once the backend reports healthy
+     */
+    scheduleRetry() {
+        if (this.retryTimer || this.pendingCount === 0) return;
+        
+        const delay = Math.min(RETRY_BASE_MS * 2 ** this.retryAttempt, RETRY_MAX_MS);
+        this.retryAttempt++;
+        
+        this.retryTimer = setTimeout(async () => {
+            this.retryTimer = null;
+            
+            try {
+                if (await api.checkHealth()) {
+                    await this.flush();
+                } else {
+                    this.scheduleRetry();
+                }
+            } catch (error) {
+                // Storage failures end up here rather than as unhandled rejections
+                console.error('Replaying queued POI changes failed:', error);
+                this.scheduleRetry();
+            }
+        }, delay);
+    }
+    
+    /**
+     * Point queued operations for a local POI at its server-assigned ID
+     */
+    async remapPOIId(localId, serverId) {
+        if (!this.db || localId === serverId) return;
+        
+        const store = this.db.transaction(STORE_NAME, 'readwrite').objectStore(STORE_NAME);
+        const operations = await promisify(store.getAll());
+        
+        await Promise.all(operations
+            .filter(op => op.poiId === localId && op.type !== 'create' && isForActiveBackend(op))
+            .map(op => promisify(store.put({ ...op, poiId: serverId }))));
+    }
+    
+    // ===========================
+    // Storage
+    // ===========================
+    
+    async enqueue(operation) {
+        const store = this.db.transaction(STORE_NAME, 'readwrite').objectStore(STORE_NAME);
+        await promisify(store.add({ ...operation, backend: getBaseUrl(), queuedAt: new Date().toISOString() }));
+        
+        await this.updatePendingCount();
+        this.scheduleRetry();
+    }
+    
+    /**
+     * Oldest operation for the active backend
+     */
+    async peek() {
+        const operations = await this.getAll();
+        return operations[0] || null;
+    }
+    
+    async remove(seq) {
+        const store = this.db.transaction(STORE_NAME, 'readwrite').objectStore(STORE_NAME);
+        await promisify(store.delete(seq));
+    }
+    
+    /**
+     * Operations for the active backend, oldest first
+     */
+    async getAll() {
+        const store = this.db.transaction(STORE_NAME, 'readonly').objectStore(STORE_NAME);
+        const operations = await promisify(store.getAll());
+        return operations.filter(isForActiveBackend);
+    }
+    
+    async updatePendingCount() {
+        this.pendingCount = (await this.getAll()).length;
+        
+        if (this.onPendingChange) {
+            this.onPendingChange(this.pendingCount);
+        }
+    }
+}
@@ -0,0 +1,348 @@
+/**
+ * Processing Module
+ * GPR signal processing steps for a slice, applied as an ordered chain
+ *
+ * Slices are rows of depth samples: data[sample][trace], so a trace is a
+ * column. Steps never modify their input - each returns new Float32Array
+ * rows, leaving the raw data intact for comparison.
+ */
+
+import { bandpass, fkFilter } from './filters.js';
+import { timeZeroCorrection } from './timeZero.js';
+import { createRows, median } from './rows.js';
+
+// Stitched slices are resampled at their finest column spacing, up to this many columns
+const MAX_UNIFORM_COLUMNS = 4096;
+
+/**
+ * Available steps: label, parameters (with defaults for the processing panel)
+ * and the function applying them as apply(rows, params, sampling)
+ * (sampling from filters.getSampling, for the frequency-domain steps)
+ *
+ * apply returns new rows, or { rows, timeZero, shifts } for steps that set the
+ * surface sample (see timeZero.js)
+ */
+export const STEP_TYPES = {
+    timeZero: {
+        label: 'Time Zero',
+        params: [
+            {
+                name: 'method',
+                label: 'Method',
+                default: 'auto',
+                options: [
+                    { value: 'auto', label: 'Auto (first break)' },
+                    { value: 'manual', label: 'Manual sample' }
+                ]
+            },
+            { name: 'threshold', label: 'Pick threshold (× peak)', default: 0.3, min: 0.05, max: 1, step: 0.05 },
+            { name: 'sample', label: 'Manual zero (sample)', default: 0, min: 0, step: 1 }
+        ],
+        apply: timeZeroCorrection
+    },
+    dewow: {
+        label: 'Dewow',
+        params: [
+            { name: 'window', label: 'Window (samples)', default: 15, min: 3, step: 2 }
+        ],
+        apply: dewow
+    },
+    background: {
+        label: 'Background Removal',
+        params: [
+            {
+                name: 'method',
+                label: 'Method',
+                default: 'mean',
+                options: [
+                    { value: 'mean', label: 'Mean trace' },
+                    { value: 'median', label: 'Median trace' }
+                ]
+            }
+        ],
+        apply: removeBackground
+    },
+    linearGain: {
+        label: 'Linear Gain',
+        params: [
+            { name: 'slope', label: 'Gain per sample', default: 0.02, min: 0, step: 0.005 }
+        ],
+        apply: linearGain
+    },
+    secGain: {
+        label: 'Exponential Gain (SEC)',
+        params: [
+            { name: 'alpha', label: 'Attenuation (per sample)', default: 0.01, min: 0, step: 0.001 },
+            { name: 'power', label: 'Spreading exponent', default: 1, min: 0, step: 0.1 }
+        ],
+        apply: secGain
+    },
+    agc: {
+        label: 'AGC',
+        params: [
+            { name: 'window', label: 'Window (samples)', default: 25, min: 3, step: 2 }
+        ],
+        apply: automaticGainControl
+    },
+    bandpass: {
+        label: 'Bandpass',
+        params: [
+            { name: 'low', label: 'Low corner (× antenna freq.)', default: 0.5, min: 0.05, step: 0.05 },
+            { name: 'high', label: 'High corner (× antenna freq.)', default: 2, min: 0.1, step: 0.1 }
+        ],
+        apply: bandpass
+    },
+    fk: {
+        label: 'FK Filter',
+        params: [
+            {
+                name: 'mode',
+                label: 'Reject',
+                default: 'reject-flat',
+                options: [
+                    { value: 'reject-flat', label: 'Flat events (banding)' },
+                    { value: 'reject-steep', label: 'Steep events (noise)' }
+                ]
+            },
+            { name: 'dip', label: 'Dip cutoff (samples/trace)', default: 0.2, min: 0, step: 0.05 }
+        ],
+        apply: fkFilter
+    }
+};
+
+/**
+ * Default parameter values of a step type
+ */
+export function defaultParams(type) {
+    const params = {};
+    (STEP_TYPES[type]?.params || []).forEach(param => {
+        params[param.name] = param.default;
+    });
+    return params;
+}
+
+/**
+ * Apply the enabled steps in order
+ * steps: [{ type, enabled, params }]
+ * options: { sampling of the slice, xCoords (column positions, null = evenly spaced),
+ *            onProgress(fraction of steps done) }
+ * Returns { rows, timeZero, rowShifts }; timeZero is null unless a step set it,
+ * rowShifts is null unless a step aligned traces - output row y of trace x
+ * then shows input row y + rowShifts[x]
+ */
+export function applyPipeline(rows, steps, { sampling = null, xCoords = null, onProgress = null } = {}) {
+    const active = steps.filter(step => step.enabled !== false);
+    let timeZero = null;
+    let rowShifts = null;
+    
+    // Steps working across traces (FK, background) assume evenly spaced columns, which a
+    // decimated overview with full-resolution windows stitched in is not - run on a
+    // uniform grid and sample the result back at the original columns
+    const grid = xCoords && !isUniform(xCoords) ? uniformGrid(xCoords) : null;
+    let current = grid ? resampleColumns(rows, xCoords, grid) : rows;
+    
+    active.forEach((step, i) => {
+        const type = STEP_TYPES[step.type];
+        if (!type) {
+            throw new Error(`Unknown processing step: ${step.type}`);
+        }
+        const output = type.apply(current, { ...defaultParams(step.type), ...step.params }, sampling);
+        if (Array.isArray(output)) {
+            current = output;
+        } else {
+            current = output.rows;
+            timeZero = output.timeZero;
+            if (output.shifts) {
+                rowShifts = rowShifts ? rowShifts.map((shift, x) => shift + output.shifts[x]) : output.shifts;
+            }
+        }
+        
+        if (onProgress) {
+            onProgress((i + 1) / active.length);
+        }
+    });
+    
+    if (grid) {
+        return {
+            rows: resampleColumns(current, grid, xCoords),
+            timeZero,
+            rowShifts: rowShifts && Int32Array.from(resampleColumns([rowShifts], grid, xCoords)[0], Math.round)
+        };
+    }
+    return { rows: current === rows ? copyRows(rows) : current, timeZero, rowShifts };
+}
+
+// ===========================
+// Helpers
+// ===========================
+
+function copyRows(rows) {
+    const out = createRows(rows.length, rows[0]?.length || 0);
+    rows.forEach((row, y) => out[y].set(row));
+    return out;
+}
+
+/**
+ * Map every sample through fn(value, sampleIndex)
+ */
+function mapSamples(rows, fn) {
+    const out = createRows(rows.length, rows[0]?.length || 0);
+    rows.forEach((row, y) => {
+        const target = out[y];
+        for (let x = 0; x < row.length; x++) {
+            target[x] = fn(row[x], y);
+        }
+    });
+    return out;
+}
+
+/**
+ * Call fn(prefix, x) per trace with cumulative sums of value(sample)
+ * down the trace: prefix[y] is the sum of samples 0..y-1
+ */
+function forEachTracePrefix(rows, value, fn) {
+    const height = rows.length;
+    const width = rows[0]?.length || 0;
+    const prefix = new Float64Array(height + 1);
+    
+    for (let x = 0; x < width; x++) {
+        for (let y = 0; y < height; y++) {
+            prefix[y + 1] = prefix[y] + value(rows[y][x]);
+        }
+        fn(prefix, x);
+    }
+}
+
+/**
+ * Whether column positions are evenly spaced
+ */
+function isUniform(xCoords) {
+    if (xCoords.length < 3) return true;
+    
+    const step = xCoords[1] - xCoords[0];
+    const tolerance = Math.abs(step) * 1e-6;
+    for (let i = 2; i < xCoords.length; i++) {
+        if (Math.abs(xCoords[i] - xCoords[i - 1] - step) > tolerance) return false;
+    }
+    return true;
+}
+
+/**
+ * Evenly spaced positions over the columns' extent at their finest spacing
+ * (coarser if that would exceed MAX_UNIFORM_COLUMNS)
+ */
+function uniformGrid(xCoords) {
+    const first = xCoords[0];
+    const extent = xCoords[xCoords.length - 1] - first;
+    
+    let step = Infinity;
+    for (let i = 1; i < xCoords.length; i++) {
+        const spacing = xCoords[i] - xCoords[i - 1];
+        if (spacing > 0 && spacing < step) step = spacing;
+    }
+    
+    const count = Math.min(MAX_UNIFORM_COLUMNS, Math.floor(extent / step + 1e-6) + 1);
+    const spacing = extent / (count - 1);
+    return Float64Array.from({ length: count }, (_, i) => first + i * spacing);
+}
+
+/**
+ * Linearly interpolate columns at positions `from` onto positions `to`
+ * Both ascending; positions outside `from` take its edge columns
+ */
+function resampleColumns(rows, from, to) {
+    const left = new Int32Array(to.length);
+    const weight = new Float32Array(to.length);
+    
+    let j = 0;
+    for (let i = 0; i < to.length; i++) {
+        while (j < from.length - 2 && from[j + 1] < to[i]) j++;
+        const span = from[j + 1] - from[j];
+        left[i] = j;
+        weight[i] = span > 0 ? Math.max(0, Math.min(1, (to[i] - from[j]) / span)) : 0;
+    }
+    
+    const out = createRows(rows.length, to.length);
+    rows.forEach((row, y) => {
+        const target = out[y];
+        for (let i = 0; i < to.length; i++) {
+            target[i] = row[left[i]] * (1 - weight[i]) + row[left[i] + 1] * weight[i];
+        }
+    });
+    return out;
+}
+
+// ===========================
+// Steps
+// ===========================
+
+/**
+ * Remove the low-frequency "wow" from each trace by subtracting a running mean
+ */
+function dewow(rows, { window }) {
+    const height = rows.length;
+    const half = Math.max(1, Math.floor(window / 2));
+    const out = createRows(height, rows[0]?.length || 0);
+    
+    forEachTracePrefix(rows, value => value, (prefix, x) => {
+        for (let y = 0; y < height; y++) {
+            const lo = Math.max(0, y - half);
+            const hi = Math.min(height, y + half + 1);
+            out[y][x] = rows[y][x] - (prefix[hi] - prefix[lo]) / (hi - lo);
+        }
+    });
+    return out;
+}
+
+/**
+ * Subtract the mean or median trace - suppresses horizontal banding and
+ * ringing common to every trace, leaving local reflectors
+ */
+function removeBackground(rows, { method }) {
+    const out = createRows(rows.length, rows[0]?.length || 0);
+    
+    rows.forEach((row, y) => {
+        const background = method === 'median'
+            ? median(row)
+            : row.reduce((sum, value) => sum + value, 0) / row.length;
+        for (let x = 0; x < row.length; x++) {
+            out[y][x] = row[x] - background;
+        }
+    });
+    return out;
+}
+
+/**
+ * Gain rising linearly with depth: 1 + slope * sample
+ */
+function linearGain(rows, { slope }) {
+    return mapSamples(rows, (value, y) => value * (1 + slope * y));
+}
+
+/**
+ * Spherical and exponential compensation: (sample + 1)^power * e^(alpha * sample)
+ */
+function secGain(rows, { alpha, power }) {
+    const gains = Array.from({ length: rows.length }, (_, y) => Math.pow(y + 1, power) * Math.exp(alpha * y));
+    return mapSamples(rows, (value, y) => value * gains[y]);
+}
+
+/**
+ * Automatic gain control: divide each sample by the RMS amplitude in a
+ * window around it, so weak late arrivals show as clearly as early ones
+ */
+function automaticGainControl(rows, { window }) {
+    const height = rows.length;
+    const half = Math.max(1, Math.floor(window / 2));
+    const out = createRows(height, rows[0]?.length || 0);
+    
+    forEachTracePrefix(rows, value => value * value, (prefix, x) => {
+        for (let y = 0; y < height; y++) {
+            const lo = Math.max(0, y - half);
+            const hi = Math.min(height, y + half + 1);
+            const rms = Math.sqrt((prefix[hi] - prefix[lo]) / (hi - lo));
+            out[y][x] = rms > 0 ? rows[y][x] / rms : 0;
+        }
+    });
+    return out;
+}
@@ -0,0 +1,289 @@
+/**
+ * Processing Panel Module
+ * Sidebar editor for the processing chain (see processing.js): ordered,
+ * toggleable steps with their parameters, and which viewer shows the result
+ * The chain is kept in localStorage between sessions.
+ */
+
+import { STEP_TYPES, defaultParams } from './processing.js';
+
+const STORAGE_KEY = 'gpr-processing';
+
+// Offered on first use - all off, so data shows raw until a step is enabled
+const DEFAULT_STEPS = ['timeZero', 'dewow', 'background', 'secGain'];
+
+export class ProcessingPanel {
+    constructor() {
+        // Ordered steps: { id, type, enabled, params }
+        this.steps = [];
+        this.nextId = 1;
+        
+        // Viewer showing processed data ('viewer1' or 'viewer2'); the other stays raw
+        this.target = 'viewer1';
+        
+        // Element references
+        this.elements = {
+            target: document.getElementById('processing-target'),
+            stepList: document.getElementById('processing-steps'),
+            addType: document.getElementById('processing-add-type'),
+            addBtn: document.getElementById('processing-add-btn'),
+            status: document.getElementById('processing-status')
+        };
+        
+        // Callbacks
+        this.onChange = null;
+        
+        this.init();
+    }
+    
+    init() {
+        this.load();
+        
+        if (this.elements.addType) {
+            Object.entries(STEP_TYPES).forEach(([type, { label }]) => {
+                const option = document.createElement('option');
+                option.value = type;
+                option.textContent = label;
+                this.elements.addType.appendChild(option);
+            });
+        }
+        
+        if (this.elements.target) {
+            this.elements.target.value = this.target;
+            this.elements.target.addEventListener('change', (e) => {
+                this.target = e.target.value;
+                this.changed();
+            });
+        }
+        
+        this.elements.addBtn?.addEventListener('click', () => {
+            this.addStep(this.elements.addType.value);
+        });
+        
+        this.render();
+    }
+    
+    /**
+     * Enabled steps in order, as applyPipeline expects them
+     */
+    getActiveSteps() {
+        return this.steps
+            .filter(step => step.enabled)
+            .map(({ type, params }) => ({ type, params: { ...params } }));
+    }
+    
+    /**
+     * Short description of the active chain, e.g. "Dewow → AGC"
+     */
+    describe() {
+        return this.steps
+            .filter(step => step.enabled)
+            .map(step => STEP_TYPES[step.type].label)
+            .join(' → ');
+    }
+    
+    setStatus(message, isError = false) {
+        if (this.elements.status) {
+            this.elements.status.textContent = message;
+            this.elements.status.classList.toggle('error', isError);
+        }
+    }
+    
+    // ===========================
+    // Editing
+    // ===========================
+    
+    createStep(type, enabled = true, params = {}) {
+        return { id: this.nextId++, type, enabled, params: { ...defaultParams(type), ...params } };
+    }
+    
+    addStep(type) {
+        if (!STEP_TYPES[type]) return;
+        
+        this.steps.push(this.createStep(type));
+        this.render();
+        this.changed();
+    }
+    
+    removeStep(id) {
+        const step = this.steps.find(s => s.id === id);
+        this.steps = this.steps.filter(s => s.id !== id);
+        this.render();
+        
+        // Removing a disabled step doesn't change the output
+        if (step?.enabled) {
+            this.changed();
+        } else {
+            this.save();
+        }
+    }
+    
+    moveStep(id, offset) {
+        const index = this.steps.findIndex(s => s.id === id);
+        const target = index + offset;
+        if (index === -1 || target < 0 || target >= this.steps.length) return;
+        
+        [this.steps[index], this.steps[target]] = [this.steps[target], this.steps[index]];
+        this.render();
+        this.changed();
+    }
+    
+    /**
+     * Store the chain and let the app reprocess
+     */
+    changed() {
+        this.save();
+        if (this.onChange) {
+            this.onChange();
+        }
+    }
+    
+    // ===========================
+    // Rendering
+    // ===========================
+    
+    render() {
+        const list = this.elements.stepList;
+        if (!list) return;
+        
+        list.innerHTML = '';
+        
+        if (this.steps.length === 0) {
+            const empty = document.createElement('li');
+            empty.className = 'processing-empty';
+            empty.textContent = 'No steps - showing raw data';
+            list.appendChild(empty);
+            return;
+        }
+        
+        this.steps.forEach((step, index) => {
+            list.appendChild(this.renderStep(step, index));
+        });
+    }
+    
+    renderStep(step, index) {
+        const type = STEP_TYPES[step.type];
+        
+        const item = document.createElement('li');
+        item.className = 'processing-step';
+        item.classList.toggle('disabled', !step.enabled);
+        
+        const header = document.createElement('div');
+        header.className = 'processing-step-header';
+        
+        const toggle = document.createElement('label');
+        toggle.className = 'processing-step-toggle';
+        const checkbox = document.createElement('input');
+        checkbox.type = 'checkbox';
+        checkbox.checked = step.enabled;
+        checkbox.addEventListener('change', () => {
+            step.enabled = checkbox.checked;
+            item.classList.toggle('disabled', !step.enabled);
+            this.changed();
+        });
+        toggle.append(checkbox, ` ${index + 1}. ${type.label}`);
+        header.appendChild(toggle);
+        
+        const buttons = [
+            { text: '↑', title: 'Move up', disabled: index === 0, action: () => this.moveStep(step.id, -1) },
+            { text: '↓', title: 'Move down', disabled: index === this.steps.length - 1, action: () => this.moveStep(step.id, 1) },
+            { text: '×', title: 'Remove step', disabled: false, action: () => this.removeStep(step.id) }
+        ];
+        buttons.forEach(({ text, title, disabled, action }) => {
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.className = 'btn btn-small processing-step-btn';
+            button.textContent = text;
+            button.title = title;
+            button.disabled = disabled;
+            button.addEventListener('click', action);
+            header.appendChild(button);
+        });
+        item.appendChild(header);
+        
+        type.params.forEach(param => {
+            item.appendChild(this.renderParam(step, param));
+        });
+        
+        return item;
+    }
+    
+    renderParam(step, param) {
+        const group = document.createElement('label');
+        group.className = 'processing-param';
+        group.textContent = param.label;
+        
+        let input;
+        if (param.options) {
+            input = document.createElement('select');
+            param.options.forEach(({ value, label }) => {
+                const option = document.createElement('option');
+                option.value = value;
+                option.textContent = label;
+                input.appendChild(option);
+            });
+        } else {
+            input = document.createElement('input');
+            input.type = 'number';
+            input.step = param.step ?? 'any';
+            if (param.min !== undefined) input.min = param.min;
+            if (param.max !== undefined) input.max = param.max;
+        }
+        input.value = step.params[param.name];
+        
+        input.addEventListener('change', () => {
+            if (!param.options) {
+                const value = Number(input.value);
+                if (input.value === '' || !input.checkValidity() || !Number.isFinite(value)) {
+                    // Put the last good value back
+                    input.value = step.params[param.name];
+                    return;
+                }
+                step.params[param.name] = value;
+            } else {
+                step.params[param.name] = input.value;
+            }
+            
+            if (step.enabled) {
+                this.changed();
+            } else {
+                this.save();
+            }
+        });
+        
+        group.appendChild(input);
+        return group;
+    }
+    
+    // ===========================
+    // Persistence
+    // ===========================
+    
+    load() {
+        try {
+            const stored = JSON.parse(localStorage.getItem(STORAGE_KEY));
+            if (stored?.steps) {
+                this.target = stored.target === 'viewer2' ? 'viewer2' : 'viewer1';
+                this.steps = stored.steps
+                    .filter(step => STEP_TYPES[step.type])
+                    .map(step => this.createStep(step.type, step.enabled, step.params));
+                return;
+            }
+        } catch (error) {
+            console.warn('Ignoring invalid stored processing chain:', error);
+        }
+        
+        this.steps = DEFAULT_STEPS.map(type => this.createStep(type, false));
+    }
+    
+    save() {
+        try {
+            localStorage.setItem(STORAGE_KEY, JSON.stringify({
+                target: this.target,
+                steps: this.steps.map(({ type, enabled, params }) => ({ type, enabled, params }))
+            }));
+        } catch (error) {
+            console.warn('Failed to store processing chain:', error);
+        }
+    }
+}
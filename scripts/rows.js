@@ -0,0 +1,22 @@
+/**
+ * Rows Module
+ * Helpers shared by the modules working on slice rows (data[sample][trace])
+ */
+
+/**
+ * Empty rows sharing one Float32Array buffer (transferable as a whole)
+ */
+export function createRows(height, width) {
+    const values = new Float32Array(width * height);
+    return Array.from({ length: height }, (_, y) => values.subarray(y * width, (y + 1) * width));
+}
+
+/**
+ * Median of numeric values (0 when empty); the input is left unsorted
+ */
+export function median(values) {
+    const sorted = Float64Array.from(values).sort();
+    const mid = sorted.length >> 1;
+    if (sorted.length === 0) return 0;
+    return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
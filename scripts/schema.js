@@ -0,0 +1,330 @@
+/**
+ * Response Schema Module
+ * Validates backend responses against the shapes the viewers and map rely on,
+ * so malformed data fails with a precise message instead of a blank plot
+ */
+
+// Stop collecting after this many problems - the first few are enough to act on
+const MAX_PROBLEMS = 5;
+
+/**
+ * Thrown when a backend response does not match its declared shape
+ * problems lists each mismatch with the path of the offending field
+ */
+export class SchemaError extends Error {
+    constructor(resource, problems) {
+        super(`Invalid ${resource} from backend: ${problems.join('; ')}`);
+        this.name = 'SchemaError';
+        this.resource = resource;
+        this.problems = problems;
+    }
+}
+
+/**
+ * Collects problems for one response and throws them together
+ */
+class Checker {
+    constructor(resource) {
+        this.resource = resource;
+        this.problems = [];
+    }
+    
+    get full() {
+        return this.problems.length >= MAX_PROBLEMS;
+    }
+    
+    fail(path, message) {
+        if (!this.full) {
+            this.problems.push(`${path} ${message}`);
+        }
+        return false;
+    }
+    
+    object(path, value) {
+        if (value === null || typeof value !== 'object' || Array.isArray(value)) {
+            return this.fail(path, `must be an object, got ${describe(value)}`);
+        }
+        return true;
+    }
+    
+    array(path, value) {
+        if (!Array.isArray(value)) {
+            return this.fail(path, `must be an array, got ${describe(value)}`);
+        }
+        return true;
+    }
+    
+    number(path, value, { min = -Infinity, max = Infinity, integer = false } = {}) {
+        if (typeof value !== 'number' || !Number.isFinite(value)) {
+            return this.fail(path, `must be a number, got ${describe(value)}`);
+        }
+        if (integer && !Number.isInteger(value)) {
+            return this.fail(path, `must be an integer, got ${value}`);
+        }
+        if (value < min || value > max) {
+            const range = max === Infinity ? `at least ${min}` : `between ${min} and ${max}`;
+            return this.fail(path, `must be ${range}, got ${value}`);
+        }
+        return true;
+    }
+    
+    string(path, value) {
+        if (typeof value !== 'string' || value === '') {
+            return this.fail(path, `must be a non-empty string, got ${describe(value)}`);
+        }
+        return true;
+    }
+    
+    latLon(path, lat, lon) {
+        this.number(`${path}lat`, lat, { min: -90, max: 90 });
+        this.number(`${path}lon`, lon, { min: -180, max: 180 });
+    }
+    
+    done(value) {
+        if (this.problems.length > 0) {
+            throw new SchemaError(this.resource, this.problems);
+        }
+        return value;
+    }
+}
+
+function describe(value) {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return `array(${value.length})`;
+    if (ArrayBuffer.isView(value)) return value.constructor.name;
+    if (typeof value === 'string') return `"${value.length > 20 ? `${value.slice(0, 20)}...` : value}"`;
+    return typeof value === 'number' ? String(value) : typeof value;
+}
+
+// ===========================
+// Shared Shapes
+// ===========================
+
+/**
+ * Track points: valid coordinates, distance never decreasing along the track
+ */
+function checkTrackPoints(check, path, points) {
+    if (!check.array(path, points)) return;
+    
+    let previousDistance = -Infinity;
+    for (let i = 0; i < points.length && !check.full; i++) {
+        const point = points[i];
+        const pointPath = `${path}[${i}]`;
+        if (!check.object(pointPath, point)) continue;
+        
+        check.latLon(`${pointPath}.`, point.lat, point.lon);
+        if (!check.number(`${pointPath}.distance_miles`, point.distance_miles, { min: 0 })) continue;
+        
+        if (point.distance_miles < previousDistance) {
+            check.fail(`${pointPath}.distance_miles`,
+                `decreases from ${previousDistance} to ${point.distance_miles} - track distance must be monotonic`);
+        }
+        previousDistance = point.distance_miles;
+    }
+}
+
+function checkPOI(check, path, poi) {
+    if (!check.object(path, poi)) return;
+    
+    if (poi.id === null || poi.id === undefined) {
+        check.fail(`${path}.id`, 'is missing');
+    }
+    check.string(`${path}.type`, poi.type);
+    check.number(`${path}.slice_x`, poi.slice_x, { min: 0 });
+    check.number(`${path}.slice_y`, poi.slice_y, { min: 0 });
+    
+    // Coordinates are optional, but must be usable when present
+    if (poi.lat !== null && poi.lat !== undefined) {
+        check.latLon(`${path}.`, poi.lat, poi.lon);
+    }
+}
+
+/**
+ * Coordinate extremes { min_lat, max_lat, min_lon, max_lon } with min <= max
+ */
+function checkBounds(check, path, bounds) {
+    if (!check.object(path ? path.slice(0, -1) : 'response', bounds)) return;
+    
+    const minLatOk = check.number(`${path}min_lat`, bounds.min_lat, { min: -90, max: 90 });
+    const maxLatOk = check.number(`${path}max_lat`, bounds.max_lat, { min: -90, max: 90 });
+    const minLonOk = check.number(`${path}min_lon`, bounds.min_lon, { min: -180, max: 180 });
+    const maxLonOk = check.number(`${path}max_lon`, bounds.max_lon, { min: -180, max: 180 });
+    
+    if (minLatOk && maxLatOk && bounds.min_lat > bounds.max_lat) {
+        check.fail(`${path}min_lat`, `must not exceed max_lat (${bounds.min_lat} > ${bounds.max_lat})`);
+    }
+    if (minLonOk && maxLonOk && bounds.min_lon > bounds.max_lon) {
+        check.fail(`${path}min_lon`, `must not exceed max_lon (${bounds.min_lon} > ${bounds.max_lon})`);
+    }
+}
+
+// ===========================
+// Response Validators
+// ===========================
+
+/**
+ * GPR slice: data must be height rows of width numeric samples,
+ * with corner coordinates and a depth range for the axis
+ */
+export function validateSlice(response) {
+    const check = new Checker('GPR slice');
+    if (!check.object('response', response)) return check.done(response);
+    
+    const widthOk = check.number('width', response.width, { min: 1, integer: true });
+    const heightOk = check.number('height', response.height, { min: 1, integer: true });
+    
+    check.latLon('start_', response.start_lat, response.start_lon);
+    check.latLon('end_', response.end_lat, response.end_lon);
+    
+    if (check.object('metadata', response.metadata)) {
+        const depthRange = response.metadata.depth_range_m;
+        if (check.array('metadata.depth_range_m', depthRange)) {
+            if (depthRange.length !== 2) {
+                check.fail('metadata.depth_range_m', `must be [min, max], got ${depthRange.length} values`);
+            } else if (check.number('metadata.depth_range_m[0]', depthRange[0])
+                && check.number('metadata.depth_range_m[1]', depthRange[1])
+                && depthRange[1] <= depthRange[0]) {
+                check.fail('metadata.depth_range_m', `max must be greater than min, got [${depthRange.join(', ')}]`);
+            }
+        }
+    }
+    
+    if (check.array('data', response.data) && widthOk && heightOk) {
+        const rows = response.data;
+        if (rows.length !== response.height) {
+            check.fail('data', `has ${rows.length} rows but height is ${response.height}`);
+        }
+        
+        for (let i = 0; i < rows.length && !check.full; i++) {
+            const row = rows[i];
+            if (!Array.isArray(row) && !ArrayBuffer.isView(row)) {
+                check.fail(`data[${i}]`, `must be an array of samples, got ${describe(row)}`);
+            } else if (row.length !== response.width) {
+                check.fail(`data[${i}]`, `has ${row.length} samples but width is ${response.width}`);
+            } else if (Array.isArray(row)) {
+                // Typed array rows are numeric by construction
+                const bad = row.findIndex(value => typeof value !== 'number' || Number.isNaN(value));
+                if (bad !== -1) {
+                    check.fail(`data[${i}][${bad}]`, `must be a number, got ${describe(row[bad])}`);
+                }
+            }
+        }
+    }
+    
+    if (response.gps_track !== undefined && response.gps_track !== null) {
+        checkTrackPoints(check, 'gps_track', response.gps_track);
+    }
+    
+    return check.done(response);
+}
+
+/**
+ * GPS track: { points: [...] }
+ */
+export function validateTrack(response) {
+    const check = new Checker('GPS track');
+    if (check.object('response', response)) {
+        checkTrackPoints(check, 'points', response.points);
+    }
+    return check.done(response);
+}
+
+/**
+ * POI list: an array of POIs or { pois: [...] }
+ */
+export function validatePOIList(response) {
+    const check = new Checker('POI list');
+    const pois = Array.isArray(response) ? response : response?.pois;
+    const path = Array.isArray(response) ? 'response' : 'pois';
+    
+    if (check.array(path, pois)) {
+        for (let i = 0; i < pois.length && !check.full; i++) {
+            checkPOI(check, `${path}[${i}]`, pois[i]);
+        }
+    }
+    return check.done(response);
+}
+
+export function validatePOI(response) {
+    const check = new Checker('POI');
+    checkPOI(check, 'response', response);
+    return check.done(response);
+}
+
+/**
+ * POI types: strings or { value, label } objects, bare or as { types: [...] }
+ */
+export function validatePOITypes(response) {
+    const check = new Checker('POI types');
+    const types = Array.isArray(response) ? response : response?.types;
+    const path = Array.isArray(response) ? 'response' : 'types';
+    
+    if (check.array(path, types)) {
+        types.forEach((type, i) => {
+            if (typeof type !== 'string') {
+                check.string(`${path}[${i}].value`, type?.value);
+            }
+        });
+    }
+    return check.done(response);
+}
+
+/**
+ * Available dates: YYYY-MM-DD strings or { date, survey_count, total_distance_km, bounds }
+ * objects, bare or as { dates: [...] }
+ */
+export function validateDates(response) {
+    const check = new Checker('date list');
+    const dates = Array.isArray(response) ? response : response?.dates;
+    const path = Array.isArray(response) ? 'response' : 'dates';
+    
+    if (check.array(path, dates)) {
+        dates.forEach((entry, i) => {
+            const isObject = entry !== null && typeof entry === 'object';
+            const date = isObject ? entry.date : entry;
+            const datePath = isObject ? `${path}[${i}].date` : `${path}[${i}]`;
+            
+            if (typeof date !== 'string' || !/^\d{4}-\d{2}-\d{2}/.test(date)) {
+                check.fail(datePath, `must be a YYYY-MM-DD date, got ${describe(date)}`);
+            }
+            if (isObject && entry.survey_count !== undefined) {
+                check.number(`${path}[${i}].survey_count`, entry.survey_count, { min: 0, integer: true });
+            }
+            if (isObject && entry.total_distance_km !== undefined) {
+                check.number(`${path}[${i}].total_distance_km`, entry.total_distance_km, { min: 0 });
+            }
+            if (isObject && entry.bounds !== undefined) {
+                checkBounds(check, `${path}[${i}].bounds.`, entry.bounds);
+            }
+        });
+    }
+    return check.done(response);
+}
+
+/**
+ * Data bounds: numeric coordinate extremes with min <= max,
+ * optionally with the track start/end (start_lat, start_lon, end_lat, end_lon)
+ */
+export function validateBounds(response) {
+    const check = new Checker('data bounds');
+    checkBounds(check, '', response);
+    
+    if (response?.start_lat !== undefined) {
+        check.latLon('start_', response.start_lat, response.start_lon);
+    }
+    if (response?.end_lat !== undefined) {
+        check.latLon('end_', response.end_lat, response.end_lon);
+    }
+    return check.done(response);
+}
+
+/**
+ * Location at time: a single track point
+ */
+export function validateLocation(response) {
+    const check = new Checker('GPS location');
+    if (check.object('response', response)) {
+        check.latLon('', response.lat, response.lon);
+    }
+    return check.done(response);
+}
@@ -0,0 +1,226 @@
+/**
+ * Settings Dialog Module
+ * Lets users create, edit and switch backend profiles at runtime
+ */
+
+import * as backendConfig from './backendConfig.js';
+import * as api from './api.js';
+
+export class SettingsDialog {
+    constructor() {
+        // Profile currently shown in the form (null while creating a new one)
+        this.editingName = null;
+        
+        // Element references
+        this.elements = {
+            openBtn: document.getElementById('settings-btn'),
+            activeProfileName: document.getElementById('active-profile-name'),
+            dialog: document.getElementById('settings-dialog'),
+            profileSelect: document.getElementById('profile-select'),
+            name: document.getElementById('profile-name'),
+            baseUrl: document.getElementById('profile-base-url'),
+            healthPath: document.getElementById('profile-health-path'),
+            authType: document.getElementById('profile-auth-type'),
+            authHeader: document.getElementById('profile-auth-header'),
+            authHeaderGroup: document.getElementById('profile-header-group'),
+            authToken: document.getElementById('profile-auth-token'),
+            authTokenGroup: document.getElementById('profile-token-group'),
+            message: document.getElementById('settings-message'),
+            newBtn: document.getElementById('profile-new-btn'),
+            saveBtn: document.getElementById('profile-save-btn'),
+            deleteBtn: document.getElementById('profile-delete-btn'),
+            activateBtn: document.getElementById('profile-activate-btn'),
+            clearCacheBtn: document.getElementById('clear-cache-btn')
+        };
+        
+        // Callbacks
+        this.onProfileChange = null;
+        
+        this.init();
+    }
+    
+    init() {
+        this.elements.openBtn?.addEventListener('click', () => this.open());
+        
+        this.elements.profileSelect?.addEventListener('change', (e) => {
+            this.showProfile(e.target.value);
+        });
+        
+        this.elements.authType?.addEventListener('change', () => this.updateAuthFields());
+        
+        this.elements.newBtn?.addEventListener('click', () => this.showNewProfile());
+        this.elements.saveBtn?.addEventListener('click', () => this.handleSave());
+        this.elements.deleteBtn?.addEventListener('click', () => this.handleDelete());
+        this.elements.activateBtn?.addEventListener('click', () => this.handleActivate());
+        this.elements.clearCacheBtn?.addEventListener('click', () => this.handleClearCache());
+        
+        this.updateActiveProfileLabel();
+    }
+    
+    open() {
+        const active = backendConfig.getActiveProfile();
+        this.populateProfiles(active.name);
+        this.showProfile(active.name);
+        this.setMessage('');
+        this.elements.dialog?.showModal();
+    }
+    
+    // ===========================
+    // Form
+    // ===========================
+    
+    populateProfiles(selectedName) {
+        const select = this.elements.profileSelect;
+        if (!select) return;
+        
+        const activeName = backendConfig.getActiveProfile().name;
+        select.innerHTML = '';
+        
+        backendConfig.getProfiles().forEach(profile => {
+            const option = document.createElement('option');
+            option.value = profile.name;
+            option.textContent = profile.name === activeName ? `${profile.name} (active)` : profile.name;
+            select.appendChild(option);
+        });
+        
+        select.value = selectedName;
+    }
+    
+    showProfile(name) {
+        const profile = backendConfig.getProfiles().find(p => p.name === name);
+        if (!profile) return;
+        
+        this.editingName = profile.name;
+        this.elements.name.value = profile.name;
+        this.elements.baseUrl.value = profile.baseUrl;
+        this.elements.healthPath.value = profile.healthPath || '';
+        this.elements.authType.value = profile.auth?.type || 'none';
+        this.elements.authHeader.value = profile.auth?.headerName || '';
+        this.elements.authToken.value = profile.auth?.token || '';
+        this.updateAuthFields();
+    }
+    
+    showNewProfile() {
+        this.editingName = null;
+        this.elements.name.value = '';
+        this.elements.baseUrl.value = '';
+        this.elements.healthPath.value = '/health';
+        this.elements.authType.value = 'none';
+        this.elements.authHeader.value = '';
+        this.elements.authToken.value = '';
+        this.updateAuthFields();
+        this.setMessage('Enter details for the new profile and click Save');
+        this.elements.name.focus();
+    }
+    
+    updateAuthFields() {
+        const type = this.elements.authType.value;
+        this.elements.authHeaderGroup?.classList.toggle('hidden', type !== 'apiKey');
+        this.elements.authTokenGroup?.classList.toggle('hidden', type === 'none' || type === 'login');
+    }
+    
+    readForm() {
+        const type = this.elements.authType.value;
+        const auth = { type };
+        if (type === 'bearer' || type === 'apiKey') {
+            auth.token = this.elements.authToken.value.trim();
+        }
+        if (type === 'apiKey') {
+            auth.headerName = this.elements.authHeader.value.trim() || 'X-API-Key';
+        }
+        
+        return {
+            name: this.elements.name.value.trim(),
+            baseUrl: this.elements.baseUrl.value.trim(),
+            healthPath: this.elements.healthPath.value.trim() || '/health',
+            auth
+        };
+    }
+    
+    // ===========================
+    // Actions
+    // ===========================
+    
+    handleSave() {
+        try {
+            const wasActive = this.editingName === backendConfig.getActiveProfile().name;
+            const saved = backendConfig.saveProfile(this.readForm(), this.editingName);
+            
+            this.editingName = saved.name;
+            this.populateProfiles(saved.name);
+            this.setMessage(`Saved "${saved.name}"`);
+            
+            // Editing the active profile changes where requests go
+            if (wasActive) {
+                this.notifyProfileChange();
+            }
+        } catch (error) {
+            this.setMessage(error.message, true);
+        }
+    }
+    
+    handleDelete() {
+        if (!this.editingName) return;
+        
+        try {
+            const wasActive = this.editingName === backendConfig.getActiveProfile().name;
+            backendConfig.deleteProfile(this.editingName);
+            
+            const active = backendConfig.getActiveProfile();
+            this.populateProfiles(active.name);
+            this.showProfile(active.name);
+            this.setMessage('Profile deleted');
+            
+            if (wasActive) {
+                this.notifyProfileChange();
+            }
+        } catch (error) {
+            this.setMessage(error.message, true);
+        }
+    }
+    
+    handleActivate() {
+        if (!this.editingName) {
+            this.setMessage('Save the profile before using it', true);
+            return;
+        }
+        
+        try {
+            backendConfig.setActiveProfile(this.editingName);
+            this.populateProfiles(this.editingName);
+            this.setMessage(`Now using "${this.editingName}"`);
+            this.notifyProfileChange();
+        } catch (error) {
+            this.setMessage(error.message, true);
+        }
+    }
+    
+    async handleClearCache() {
+        try {
+            await api.clearDataCache();
+            this.setMessage('Data cache cleared');
+        } catch (error) {
+            this.setMessage(`Failed to clear cache: ${error.message}`, true);
+        }
+    }
+    
+    notifyProfileChange() {
+        this.updateActiveProfileLabel();
+        if (this.onProfileChange) {
+            this.onProfileChange(backendConfig.getActiveProfile());
+        }
+    }
+    
+    updateActiveProfileLabel() {
+        if (this.elements.activeProfileName) {
+            this.elements.activeProfileName.textContent = backendConfig.getActiveProfile().name;
+        }
+    }
+    
+    setMessage(message, isError = false) {
+        if (!this.elements.message) return;
+        
+        this.elements.message.textContent = message;
+        this.elements.message.classList.toggle('error', isError);
+    }
+}
@@ -0,0 +1,91 @@
+/**
+ * Binary Slice Format Module
+ * Decodes GPR slices sent as binary instead of nested JSON arrays
+ *
+ * Layout (all little-endian):
+ *   uint32   header length in bytes (N)
+ *   N bytes  UTF-8 JSON header
+ *   padding  zero bytes up to the next 4-byte boundary
+ *   samples  height x width values, row by row (one row per depth sample)
+ *
+ * Header fields:
+ *   width, height        slice dimensions
+ *   dtype                'int16' or 'float32'
+ *   depth_range_m        [min, max] depth in metres
+ *   sample_interval_ns   time between depth samples
+ *   any other slice fields (date, start_lat, ..., metadata) are passed through
+ */
+
+export const BINARY_SLICE_MIME = 'application/octet-stream';
+
+const DTYPES = {
+    int16: Int16Array,
+    float32: Float32Array
+};
+
+const IS_LITTLE_ENDIAN = new Uint8Array(new Uint16Array([1]).buffer)[0] === 1;
+
+/**
+ * Decode a binary slice into the same shape as the JSON slice response
+ * `data` is an array of typed-array rows sharing one buffer
+ */
+export function decodeSliceBinary(buffer) {
+    const view = new DataView(buffer);
+    if (buffer.byteLength < 4) {
+        throw new Error('Binary slice too short for header');
+    }
+    
+    const headerLength = view.getUint32(0, true);
+    const headerBytes = new Uint8Array(buffer, 4, headerLength);
+    const header = JSON.parse(new TextDecoder().decode(headerBytes));
+    
+    const { width, height, dtype = 'float32', depth_range_m, sample_interval_ns, ...rest } = header;
+    const ArrayType = DTYPES[dtype];
+    if (!ArrayType) {
+        throw new Error(`Unsupported binary slice dtype: ${dtype}`);
+    }
+    
+    const dataOffset = Math.ceil((4 + headerLength) / 4) * 4;
+    const count = width * height;
+    const expectedBytes = dataOffset + count * ArrayType.BYTES_PER_ELEMENT;
+    if (buffer.byteLength < expectedBytes) {
+        throw new Error(`Binary slice truncated: expected ${expectedBytes} bytes, got ${buffer.byteLength}`);
+    }
+    
+    const samples = IS_LITTLE_ENDIAN
+        ? new ArrayType(buffer, dataOffset, count)
+        : readBigEndianHost(view, dataOffset, count, dtype);
+    
+    const data = [];
+    for (let y = 0; y < height; y++) {
+        data.push(samples.subarray(y * width, (y + 1) * width));
+    }
+    
+    return {
+        ...rest,
+        width,
+        height,
+        data,
+        metadata: {
+            ...rest.metadata,
+            ...(depth_range_m && { depth_range_m }),
+            ...(sample_interval_ns !== undefined && { sample_interval_ns })
+        }
+    };
+}
+
+/**
+ * Slow path for big-endian hosts - read each value explicitly as little-endian
+ */
+function readBigEndianHost(view, offset, count, dtype) {
+    const ArrayType = DTYPES[dtype];
+    const out = new ArrayType(count);
+    const step = ArrayType.BYTES_PER_ELEMENT;
+    
+    for (let i = 0; i < count; i++) {
+        out[i] = dtype === 'int16'
+            ? view.getInt16(offset + i * step, true)
+            : view.getFloat32(offset + i * step, true);
+    }
+    return out;
+}
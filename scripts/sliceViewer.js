@@ -3,6 +3,38 @@
  * Renders GPR data as an interactive heatmap using Plotly
  */
 
+import { getSampling } from './filters.js';
+
+/**
+ * Concatenate row segments, keeping typed arrays typed (binary slices)
+ * Parts of different types (an int16 overview and a float or JSON window)
+ * are joined as Float32Array so no values are truncated or rounded.
+ */
+function concatRow(...parts) {
+    if (!parts.some(part => ArrayBuffer.isView(part))) {
+        return parts.flatMap(part => Array.from(part));
+    }
+    
+    const sameType = parts.every(part => part.constructor === parts[0].constructor);
+    const length = parts.reduce((sum, part) => sum + part.length, 0);
+    const row = new (sameType ? parts[0].constructor : Float32Array)(length);
+    let offset = 0;
+    parts.forEach(part => {
+        row.set(part, offset);
+        offset += part.length;
+    });
+    return row;
+}
+
+/**
+ * Round a tick spacing to 1, 2 or 5 times a power of ten
+ */
+function niceStep(rough) {
+    const power = Math.pow(10, Math.floor(Math.log10(rough)));
+    const scaled = rough / power;
+    return (scaled < 1.5 ? 1 : scaled < 3.5 ? 2 : scaled < 7.5 ? 5 : 10) * power;
+}
+
 export class SliceViewer {
     constructor(plotDivId, containerId) {
         this.plotDiv = document.getElementById(plotDivId);
@@ -11,8 +43,15 @@ export class SliceViewer {
         
         // Data state
         this.data = null;
+        this.processedData = null; // Output of the processing chain, shown in place of data when set
+        this.rowShifts = null; // Per column: processed row y shows raw row y + shift (traces aligned on time zero)
+        this.xCoords = null; // Column positions in full-resolution traces (null = 0..width-1)
         this.metadata = null;
         this.gpsTrack = null;
+        this.timeZero = null; // Sample row of the ground surface (null = depth range starts at row 0)
+        this.velocity = null; // Calibrated wave velocity in m/ns (null = depths from the metadata depth range)
+        this.overlay = null; // Velocity fit drawn over the data: { points: { x, y }, curve: { x, y } | null }
+        this.dataRevision = 0; // Bumped per dataset so Plotly keeps zoom across re-renders
         
         // Viewport state (for compatibility)
         this.viewport = {
@@ -28,6 +67,9 @@ export class SliceViewer {
         // POI markers
         this.pois = [];
         
+        // Detected targets awaiting review (see detection.js)
+        this.suggestions = [];
+        
         // Callbacks
         this.onPositionChange = null;
         this.onViewportChange = null;
@@ -61,6 +103,8 @@ export class SliceViewer {
     }
     
     getLayout() {
+        const depthAxis = this.getDepthAxis();
+        
         return {
             paper_bgcolor: '#0a0a0a',
             plot_bgcolor: '#0a0a0a',
@@ -73,15 +117,28 @@ export class SliceViewer {
                 tickfont: { size: 10 }
             },
             yaxis: {
-                title: { text: 'Depth (samples)', font: { color: '#a0aec0', size: 11 } },
+                title: { text: this.getDepthAxisTitle(), font: { color: '#a0aec0', size: 11 } },
                 color: '#a0aec0',
                 gridcolor: '#2d3748',
                 zerolinecolor: '#2d3748',
                 autorange: 'reversed', // Depth increases downward
-                tickfont: { size: 10 }
+                tickfont: { size: 10 },
+                ...depthAxis
             },
+            shapes: this.timeZero !== null ? [{
+                // Corrected ground surface
+                type: 'line',
+                xref: 'paper',
+                yref: 'y',
+                x0: 0,
+                x1: 1,
+                y0: this.timeZero,
+                y1: this.timeZero,
+                line: { color: '#f39c12', width: 1, dash: 'dash' }
+            }] : [],
             dragmode: 'zoom',
-            hovermode: 'closest'
+            hovermode: 'closest',
+            uirevision: this.dataRevision
         };
     }
     
@@ -109,9 +166,10 @@ export class SliceViewer {
             if (data.points && data.points.length > 0) {
                 const point = data.points[0];
                 if (this.onClick) {
+                    // POIs and picks are kept in raw rows, whichever viewer they came from
                     this.onClick({
                         dataX: Math.round(point.x),
-                        dataY: Math.round(point.y),
+                        dataY: this.toRawRow(point.x, Math.round(point.y)),
                         intensity: point.z
                     });
                 }
@@ -148,7 +206,9 @@ export class SliceViewer {
                 lat: geoCoords?.lat,
                 lon: geoCoords?.lon,
                 depth: geoCoords?.depth,
+                twoWayTime: geoCoords?.twoWayTime,
                 mile: geoCoords?.mile,
+                timestamp: geoCoords?.timestamp,
                 trackIndex: geoCoords?.trackIndex
             });
         }
@@ -159,6 +219,10 @@ export class SliceViewer {
      */
     loadData(gprResponse) {
         this.data = gprResponse.data;
+        this.processedData = null;
+        this.timeZero = null;
+        this.xCoords = gprResponse.x || null;
+        this.dataRevision++;
         this.metadata = {
             width: gprResponse.width,
             height: gprResponse.height,
@@ -175,6 +239,171 @@ export class SliceViewer {
         this.render();
     }
     
+    /**
+     * Remove the data and everything drawn over it, leaving an empty plot
+     */
+    clear() {
+        this.data = null;
+        this.processedData = null;
+        this.timeZero = null;
+        this.xCoords = null;
+        this.metadata = null;
+        this.gpsTrack = null;
+        this.overlay = null;
+        this.pois = [];
+        this.suggestions = [];
+        this.dataRevision++;
+        
+        Plotly.react(this.plotDiv, [], this.getLayout(), this.getConfig());
+    }
+    
+    /**
+     * Replace the columns covering [x[0], x[last]] with new ones
+     * Used to stitch higher-resolution windows into a decimated overview
+     */
+    mergeColumns(x, columns) {
+        if (!this.data || x.length === 0) return;
+        
+        if (columns.length !== this.data.length) {
+            console.warn(`Window height ${columns.length} does not match slice height ${this.data.length}`);
+            return;
+        }
+        
+        const current = this.getXCoords();
+        const start = x[0];
+        const end = x[x.length - 1];
+        
+        let lo = current.findIndex(v => v >= start);
+        if (lo === -1) lo = current.length;
+        let hi = current.findIndex(v => v > end);
+        if (hi === -1) hi = current.length;
+        
+        this.xCoords = [...current.slice(0, lo), ...x, ...current.slice(hi)];
+        this.data = this.data.map((row, r) => concatRow(row.slice(0, lo), columns[r], row.slice(hi)));
+        this.processedData = null;
+        
+        this.render();
+    }
+    
+    /**
+     * Start an empty live waterfall; traces arrive through appendTraces
+     */
+    startLive(meta = {}) {
+        this.data = null;
+        this.processedData = null;
+        this.timeZero = null;
+        this.xCoords = null;
+        this.gpsTrack = null;
+        this.metadata = {
+            width: 0,
+            height: meta.height || 0,
+            depthRange: meta.depth_range_m || [0, 5],
+            ...meta
+        };
+        this.dataRevision++;
+    }
+    
+    /**
+     * Append live traces ({ index, samples }) as columns on the right,
+     * dropping the oldest beyond maxTraces so the view scrolls
+     */
+    appendTraces(traces, maxTraces = 2000) {
+        if (traces.length === 0) return;
+        
+        // Only scroll with the stream while the view shows its newest trace,
+        // so a zoom into older traces survives the next flush
+        const following = this.isFollowingNewest();
+        
+        const height = traces[0].samples.length;
+        if (!this.data || this.data.length !== height) {
+            this.data = Array.from({ length: height }, () => []);
+            this.xCoords = [];
+        }
+        
+        traces.forEach(trace => {
+            for (let r = 0; r < height; r++) {
+                this.data[r].push(trace.samples[r]);
+            }
+            this.xCoords.push(trace.index);
+        });
+        
+        const excess = this.xCoords.length - maxTraces;
+        if (excess > 0) {
+            this.data.forEach(row => row.splice(0, excess));
+            this.xCoords.splice(0, excess);
+        }
+        this.processedData = null;
+        
+        this.metadata.width = this.xCoords.length;
+        this.metadata.height = height;
+        
+        // New revision so the x axis autoranges to follow the newest traces
+        if (following) {
+            this.dataRevision++;
+        }
+        this.render();
+    }
+    
+    /**
+     * Whether the x axis is autoranged or its right edge reaches the newest column
+     */
+    isFollowingNewest() {
+        const xaxis = this.plotDiv.layout?.xaxis;
+        if (!xaxis || xaxis.autorange !== false || !this.xCoords?.length) return true;
+        
+        return Array.isArray(xaxis.range) && xaxis.range[1] >= this.xCoords[this.xCoords.length - 1];
+    }
+    
+    /**
+     * Show processed rows (same shape as data) instead of the raw data
+     * Pass null to go back to raw; cleared whenever the raw data changes
+     * rowShifts: per column, raw row minus processed row (see applyPipeline; null = not shifted)
+     */
+    setProcessedData(rows, rowShifts = null) {
+        this.processedData = rows;
+        this.rowShifts = rows ? rowShifts : null;
+        this.render();
+    }
+    
+    /**
+     * Shift of the column nearest dataX while aligned processed rows are shown, else 0
+     */
+    getRowShift(dataX) {
+        if (!this.processedData || !this.rowShifts) return 0;
+        
+        const xCoords = this.getXCoords();
+        let lo = 0;
+        let hi = xCoords.length - 1;
+        while (lo < hi) {
+            const mid = (lo + hi) >> 1;
+            if (xCoords[mid] < dataX) lo = mid + 1;
+            else hi = mid;
+        }
+        if (lo > 0 && dataX - xCoords[lo - 1] < xCoords[lo] - dataX) lo--;
+        return this.rowShifts[lo] || 0;
+    }
+    
+    /**
+     * Raw data row of a displayed row at dataX
+     */
+    toRawRow(dataX, row) {
+        return row + this.getRowShift(dataX);
+    }
+    
+    /**
+     * Displayed row of a raw data row at dataX
+     */
+    toDisplayRow(dataX, row) {
+        return row - this.getRowShift(dataX);
+    }
+    
+    /**
+     * Get column positions, defaulting to one column per trace
+     */
+    getXCoords() {
+        return this.xCoords || Array.from({ length: this.data[0].length }, (_, i) => i);
+    }
+    
     /**
      * Render the GPR data using Plotly heatmap
      */
@@ -183,16 +412,22 @@ export class SliceViewer {
             return;
         }
         
+        // Processed output is centred on zero, so keep zero mid-scale
+        const processed = this.processedData !== null;
+        const zLabel = processed ? 'Processed' : 'Intensity';
+        
         // Create heatmap trace
         const heatmapTrace = {
-            z: this.data,
+            z: processed ? this.processedData : this.data,
+            x: this.xCoords || undefined,
             type: 'heatmap',
             colorscale: this.colorscale,
             reversescale: this.reversescale,
+            zmid: processed ? 0 : undefined,
             zsmooth: 'best', // Smooth interpolation
-            hovertemplate: 'X: %{x}<br>Depth: %{y}<br>Intensity: %{z}<extra></extra>',
+            hovertemplate: `X: %{x}<br>Depth: %{y}<br>${zLabel}: %{z}<extra></extra>`,
             colorbar: {
-                title: { text: 'Intensity', font: { color: '#a0aec0', size: 10 } },
+                title: { text: zLabel, font: { color: '#a0aec0', size: 10 } },
                 tickfont: { color: '#a0aec0', size: 9 },
                 thickness: 15,
                 len: 0.9
@@ -201,11 +436,54 @@ export class SliceViewer {
         
         const traces = [heatmapTrace];
         
+        // Velocity fit: hyperbola and the picks it was fitted to
+        if (this.overlay) {
+            if (this.overlay.curve) {
+                traces.push({
+                    x: this.overlay.curve.x,
+                    y: this.overlay.curve.y.map((y, i) => this.toDisplayRow(this.overlay.curve.x[i], y)),
+                    mode: 'lines',
+                    type: 'scatter',
+                    line: { color: '#f39c12', width: 2 },
+                    hoverinfo: 'skip',
+                    name: 'Fitted hyperbola'
+                });
+            }
+            traces.push({
+                x: this.overlay.points.x,
+                y: this.overlay.points.y.map((y, i) => this.toDisplayRow(this.overlay.points.x[i], y)),
+                mode: 'markers',
+                type: 'scatter',
+                marker: { size: 8, color: '#f39c12', symbol: 'x', line: { color: '#fff', width: 1 } },
+                hovertemplate: 'Pick: %{x}, %{y}<extra></extra>',
+                name: 'Velocity picks'
+            });
+        }
+        
+        // Suggested POIs: open circles, sized by confidence
+        if (this.suggestions.length > 0) {
+            traces.push({
+                x: this.suggestions.map(s => s.slice_x),
+                y: this.suggestions.map(s => this.toDisplayRow(s.slice_x, s.slice_y)),
+                mode: 'markers',
+                type: 'scatter',
+                marker: {
+                    size: this.suggestions.map(s => 10 + 8 * s.confidence),
+                    color: this.suggestions.map(s => this.getPoiColor(s.type)),
+                    symbol: 'circle-open',
+                    line: { width: 2 }
+                },
+                text: this.suggestions.map(s => `Suggested ${s.type} (${Math.round(s.confidence * 100)}%)`),
+                hovertemplate: '%{text}<extra></extra>',
+                name: 'Suggestions'
+            });
+        }
+        
         // Add POI markers if any
         if (this.pois.length > 0) {
             const poiTrace = {
                 x: this.pois.map(p => p.slice_x),
-                y: this.pois.map(p => p.slice_y),
+                y: this.pois.map(p => this.toDisplayRow(p.slice_x, p.slice_y)),
                 mode: 'markers+text',
                 type: 'scatter',
                 marker: {
@@ -267,31 +545,151 @@ export class SliceViewer {
         }
     }
     
+    /**
+     * Set detected targets to mark for review ([] to remove them)
+     */
+    setSuggestions(suggestions) {
+        this.suggestions = suggestions || [];
+        if (this.data) {
+            this.render();
+        }
+    }
+    
+    /**
+     * Set the sample row of the ground surface; depths are measured from it
+     * null goes back to the metadata depth range starting at row 0
+     */
+    setTimeZero(sample) {
+        if (sample === this.timeZero) return;
+        
+        this.timeZero = sample;
+        if (this.data) {
+            this.render();
+        }
+    }
+    
+    /**
+     * Set the calibrated wave velocity (m/ns) used to turn two-way time into depth
+     * null goes back to the metadata depth range
+     */
+    setVelocity(velocity) {
+        if (velocity === this.velocity) return;
+        
+        this.velocity = velocity;
+        if (this.data) {
+            this.render();
+        }
+    }
+    
+    /**
+     * Show a velocity fit over the data, or null to remove it
+     */
+    setOverlay(overlay) {
+        this.overlay = overlay;
+        if (this.data) {
+            this.render();
+        }
+    }
+    
+    /**
+     * Two-way time per sample in ns (stated or estimated, see filters.getSampling)
+     */
+    getSampleInterval() {
+        return getSampling(this.metadata, this.metadata.height).sampleIntervalNs;
+    }
+    
+    /**
+     * Depth step per sample: half the distance travelled in one sample interval
+     * with a calibrated velocity, else the depth range over the samples
+     */
+    getMetresPerSample() {
+        const { height, depthRange } = this.metadata;
+        return this.velocity !== null
+            ? this.velocity * this.getSampleInterval() / 2
+            : (depthRange[1] - depthRange[0]) / height;
+    }
+    
+    /**
+     * Depth in metres of a (fractional) sample row
+     */
+    sampleToDepth(dataY) {
+        if (this.timeZero === null && this.velocity === null) {
+            const { depthRange } = this.metadata;
+            return depthRange[0] + dataY * this.getMetresPerSample();
+        }
+        return (dataY - (this.timeZero ?? 0)) * this.getMetresPerSample();
+    }
+    
+    /**
+     * Y-axis title naming what the depth axis currently shows
+     */
+    getDepthAxisTitle() {
+        if (this.timeZero !== null) return 'Depth below surface (m)';
+        if (this.velocity !== null) return 'Depth (m)';
+        return 'Depth (samples)';
+    }
+    
+    /**
+     * Y-axis ticks in metres, placed on sample rows
+     * Null until time zero or a velocity is set - the axis then shows samples.
+     */
+    getDepthAxis() {
+        if ((this.timeZero === null && this.velocity === null) || !this.metadata?.height) return null;
+        
+        const zero = this.timeZero ?? 0;
+        const top = this.sampleToDepth(0);
+        const bottom = this.sampleToDepth(this.metadata.height - 1);
+        const rowsPerMetre = 1 / (this.sampleToDepth(1) - top);
+        const step = niceStep((bottom - top) / 8);
+        const decimals = Math.max(0, -Math.floor(Math.log10(step)));
+        
+        const tickvals = [];
+        const ticktext = [];
+        for (let depth = Math.ceil(top / step) * step; depth <= bottom; depth += step) {
+            tickvals.push(zero + depth * rowsPerMetre);
+            ticktext.push((Math.abs(depth) < step / 2 ? 0 : depth).toFixed(decimals));
+        }
+        
+        return { tickmode: 'array', tickvals, ticktext };
+    }
+    
     /**
      * Convert data coordinates to geo coordinates
      */
     dataToGeoCoords(dataX, dataY) {
         if (!this.metadata) return null;
         
-        const { startLat, startLon, endLat, endLon, width, height, depthRange } = this.metadata;
+        const { startLat, startLon, endLat, endLon, width } = this.metadata;
         
         const t = dataX / width;
-        const lat = startLat + (endLat - startLat) * t;
-        const lon = startLon + (endLon - startLon) * t;
         
-        const depthT = dataY / height;
-        const depth = depthRange[0] + (depthRange[1] - depthRange[0]) * depthT;
+        // Live waterfalls have no fixed end points
+        const hasEnds = startLat !== undefined && endLat !== undefined;
+        const lat = hasEnds ? startLat + (endLat - startLat) * t : undefined;
+        const lon = hasEnds ? startLon + (endLon - startLon) * t : undefined;
+        
+        const depth = this.sampleToDepth(dataY);
+        const twoWayTime = (dataY - (this.timeZero ?? 0)) * this.getSampleInterval();
         
-        // Calculate mile marker from GPS track if available
+        // Calculate mile marker and recording time from GPS track if available
         let mile = null;
         let trackIndex = null;
+        let timestamp = null;
         if (this.gpsTrack && this.gpsTrack.length > 0) {
             trackIndex = Math.floor(t * (this.gpsTrack.length - 1));
             trackIndex = Math.max(0, Math.min(trackIndex, this.gpsTrack.length - 1));
             mile = this.gpsTrack[trackIndex].distance_miles;
+            timestamp = this.gpsTrack[trackIndex].timestamp || null;
+        }
+        
+        // Otherwise interpolate across the recording span
+        const recordingStart = Date.parse(this.metadata.recording_start);
+        const recordingEnd = Date.parse(this.metadata.recording_end);
+        if (!timestamp && !isNaN(recordingStart) && !isNaN(recordingEnd)) {
+            timestamp = new Date(recordingStart + (recordingEnd - recordingStart) * Math.max(0, Math.min(1, t))).toISOString();
         }
         
-        return { lat, lon, depth, mile, trackIndex };
+        return { lat, lon, depth, twoWayTime, mile, timestamp, trackIndex };
     }
     
     /**
@@ -0,0 +1,110 @@
+/**
+ * Spectrum Panel Module
+ * Small Plotly chart of the mean trace amplitude spectrum before and after
+ * processing, with the antenna frequency and bandpass corners marked
+ */
+
+import { traceSpectrum } from './filters.js';
+
+export class SpectrumPanel {
+    constructor() {
+        // Element references
+        this.elements = {
+            panel: document.getElementById('spectrum-panel'),
+            plot: document.getElementById('spectrum-plot'),
+            info: document.getElementById('spectrum-info')
+        };
+    }
+    
+    /**
+     * Plot the spectra of raw and (optionally) processed rows
+     * sampling: from filters.getSampling; passband: { lowMHz, highMHz } of an active bandpass
+     */
+    update(raw, processed, sampling, passband = null) {
+        if (!this.elements.plot || typeof Plotly === 'undefined') return;
+        
+        const before = traceSpectrum(raw, sampling);
+        const after = processed ? traceSpectrum(processed, sampling) : null;
+        
+        // Both curves in dB relative to the raw peak, so gain shows as a shift
+        const reference = Math.max(...before.amplitude) || 1;
+        const toDb = amplitude => amplitude.map(value => 20 * Math.log10(Math.max(value / reference, 1e-6)));
+        
+        const traces = [{
+            x: before.frequencies,
+            y: toDb(before.amplitude),
+            type: 'scatter',
+            mode: 'lines',
+            name: 'Raw',
+            line: { color: '#a0aec0', width: 1 }
+        }];
+        if (after) {
+            traces.push({
+                x: after.frequencies,
+                y: toDb(after.amplitude),
+                type: 'scatter',
+                mode: 'lines',
+                name: 'Processed',
+                line: { color: '#3498db', width: 1.5 }
+            });
+        }
+        
+        const shapes = [{
+            type: 'line',
+            xref: 'x',
+            yref: 'paper',
+            x0: sampling.antennaMHz,
+            x1: sampling.antennaMHz,
+            y0: 0,
+            y1: 1,
+            line: { color: '#f39c12', width: 1, dash: 'dot' }
+        }];
+        if (passband) {
+            shapes.push({
+                type: 'rect',
+                xref: 'x',
+                yref: 'paper',
+                x0: passband.lowMHz,
+                x1: passband.highMHz,
+                y0: 0,
+                y1: 1,
+                fillcolor: 'rgba(52, 152, 219, 0.12)',
+                line: { width: 0 }
+            });
+        }
+        
+        const layout = {
+            margin: { l: 36, r: 8, t: 8, b: 30 },
+            height: 160,
+            paper_bgcolor: 'rgba(0,0,0,0)',
+            plot_bgcolor: '#0a0a0a',
+            font: { color: '#a0aec0', size: 9 },
+            showlegend: true,
+            legend: { x: 1, xanchor: 'right', y: 1, bgcolor: 'rgba(0,0,0,0)' },
+            xaxis: { title: { text: 'MHz' }, gridcolor: '#2d3748', range: [0, sampling.nyquistMHz] },
+            yaxis: { title: { text: 'dB' }, gridcolor: '#2d3748' },
+            shapes
+        };
+        
+        this.elements.panel?.classList.remove('hidden');
+        Plotly.react(this.elements.plot, traces, layout, { displayModeBar: false, responsive: true });
+        
+        if (this.elements.info) {
+            const antenna = sampling.antennaKnown
+                ? `Antenna ${sampling.antennaMHz} MHz`
+                : `Antenna unknown (assuming ${sampling.antennaMHz} MHz)`;
+            const interval = `${sampling.sampleIntervalNs.toFixed(3)} ns/sample${sampling.intervalKnown ? '' : ' (estimated)'}`;
+            this.elements.info.textContent = `${antenna} | ${interval}`;
+        }
+    }
+    
+    /**
+     * Hide the chart (no data, or live mode)
+     */
+    clear() {
+        this.elements.panel?.classList.add('hidden');
+        if (this.elements.plot && typeof Plotly !== 'undefined') {
+            Plotly.purge(this.elements.plot);
+        }
+    }
+}
@@ -0,0 +1,244 @@
+/**
+ * Suggestion Panel Module
+ * Sidebar review list for detected targets (see detection.js): each
+ * suggestion shows its confidence and can be retyped, accepted as a POI or
+ * rejected. With known targets (sample data) it also reports how well the
+ * detection matched them.
+ */
+
+import { scoreDetections } from './detection.js';
+
+export class SuggestionPanel {
+    constructor() {
+        // Everything the last detection found, and what is still awaiting review
+        this.detected = [];
+        this.pending = [];
+        this.nextId = 1;
+        
+        // Known targets to validate against (null = none)
+        this.groundTruth = null;
+        
+        // POI types offered for retyping: [{ value, label }] (see Controls.getPOITypeOptions)
+        this.types = [];
+        
+        // Element references
+        this.elements = {
+            detectBtn: document.getElementById('suggestion-detect-btn'),
+            clearBtn: document.getElementById('suggestion-clear-btn'),
+            minConfidence: document.getElementById('suggestion-min-confidence'),
+            list: document.getElementById('suggestion-list'),
+            status: document.getElementById('suggestion-status'),
+            validation: document.getElementById('suggestion-validation')
+        };
+        
+        // Callbacks
+        this.onDetect = null;
+        this.onAccept = null;
+        this.onSelect = null;
+        this.onChange = null;
+        
+        this.init();
+    }
+    
+    init() {
+        this.elements.detectBtn?.addEventListener('click', () => {
+            if (this.onDetect) {
+                this.onDetect();
+            }
+        });
+        
+        this.elements.clearBtn?.addEventListener('click', () => {
+            this.clear();
+        });
+        
+        this.elements.minConfidence?.addEventListener('change', () => {
+            this.render();
+        });
+        
+        this.render();
+    }
+    
+    /**
+     * Replace the suggestions with a new detection's candidates
+     */
+    setSuggestions(candidates) {
+        this.detected = candidates.map(candidate => ({ ...candidate, id: this.nextId++ }));
+        this.pending = [...this.detected];
+        this.render();
+    }
+    
+    clear() {
+        this.detected = [];
+        this.pending = [];
+        this.render();
+    }
+    
+    /**
+     * Known targets in slice units (mockData ground_truth), or null
+     */
+    setGroundTruth(targets) {
+        this.groundTruth = targets;
+        this.render();
+    }
+    
+    setTypes(types) {
+        if (!types || types.length === 0) return;
+        
+        this.types = types;
+        this.render();
+    }
+    
+    /**
+     * Suggestions awaiting review at or above the confidence threshold
+     */
+    getVisible() {
+        const threshold = this.getThreshold();
+        return this.pending.filter(suggestion => suggestion.confidence >= threshold);
+    }
+    
+    getThreshold() {
+        const percent = parseFloat(this.elements.minConfidence?.value);
+        return Number.isFinite(percent) ? Math.max(0, Math.min(100, percent)) / 100 : 0;
+    }
+    
+    setBusy(busy) {
+        if (this.elements.detectBtn) {
+            this.elements.detectBtn.disabled = busy;
+            this.elements.detectBtn.textContent = busy ? 'Detecting...' : 'Detect Targets';
+        }
+    }
+    
+    setStatus(message, isError = false) {
+        if (this.elements.status) {
+            this.elements.status.textContent = message;
+            this.elements.status.classList.toggle('error', isError);
+        }
+    }
+    
+    // ===========================
+    // Review
+    // ===========================
+    
+    accept(suggestion) {
+        this.remove(suggestion);
+        if (this.onAccept) {
+            this.onAccept(suggestion);
+        }
+    }
+    
+    remove(suggestion) {
+        this.pending = this.pending.filter(s => s.id !== suggestion.id);
+        this.render();
+    }
+    
+    // ===========================
+    // Display
+    // ===========================
+    
+    render() {
+        const visible = this.getVisible();
+        this.renderList(visible);
+        this.renderValidation();
+        
+        if (this.onChange) {
+            this.onChange(visible);
+        }
+    }
+    
+    renderList(visible) {
+        const list = this.elements.list;
+        if (!list) return;
+        
+        list.innerHTML = '';
+        
+        if (visible.length === 0) {
+            const empty = document.createElement('li');
+            empty.className = 'suggestion-empty';
+            empty.textContent = this.detected.length > 0
+                ? 'Nothing left to review at this confidence'
+                : 'Run detection to suggest POIs';
+            list.appendChild(empty);
+            return;
+        }
+        
+        visible.forEach(suggestion => {
+            list.appendChild(this.renderItem(suggestion));
+        });
+    }
+    
+    renderItem(suggestion) {
+        const item = document.createElement('li');
+        item.className = `suggestion-item poi-type-${suggestion.type}`;
+        item.title = `${suggestion.shape === 'void' ? 'Void signature' : 'Hyperbola'} - click to show`;
+        
+        const confidence = document.createElement('span');
+        confidence.className = 'suggestion-confidence';
+        confidence.textContent = `${Math.round(suggestion.confidence * 100)}%`;
+        
+        const type = document.createElement('select');
+        type.className = 'suggestion-type';
+        type.setAttribute('aria-label', 'POI type');
+        this.types.forEach(({ value, label }) => {
+            const option = document.createElement('option');
+            option.value = value;
+            option.textContent = label;
+            type.appendChild(option);
+        });
+        type.value = suggestion.type;
+        type.addEventListener('click', (e) => e.stopPropagation());
+        type.addEventListener('change', () => {
+            suggestion.type = type.value;
+            this.render();
+        });
+        
+        const position = document.createElement('span');
+        position.className = 'suggestion-position';
+        position.textContent = `x:${suggestion.slice_x}, y:${suggestion.slice_y}`;
+        
+        const buttons = [
+            { text: '✓', title: 'Accept as POI', className: 'suggestion-accept', action: () => this.accept(suggestion) },
+            { text: '×', title: 'Reject', className: 'suggestion-reject', action: () => this.remove(suggestion) }
+        ].map(({ text, title, className, action }) => {
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.className = className;
+            button.textContent = text;
+            button.title = title;
+            button.addEventListener('click', (e) => {
+                e.stopPropagation();
+                action();
+            });
+            return button;
+        });
+        
+        item.append(confidence, type, position, ...buttons);
+        
+        // Click to navigate
+        item.addEventListener('click', () => {
+            if (this.onSelect) {
+                this.onSelect(suggestion);
+            }
+        });
+        
+        return item;
+    }
+    
+    /**
+     * How the detection (at the current threshold) compares with the known targets
+     */
+    renderValidation() {
+        const el = this.elements.validation;
+        if (!el) return;
+        
+        if (!this.groundTruth || this.detected.length === 0) {
+            el.textContent = '';
+            return;
+        }
+        
+        const threshold = this.getThreshold();
+        const found = this.detected.filter(suggestion => suggestion.confidence >= threshold);
+        const { matched, missed, falsePositives, precision } = scoreDetections(found, this.groundTruth);
+        el.textContent = `Known targets: ${matched} of ${matched + missed} found, ` +
+            `${falsePositives} false (precision ${Math.round(precision * 100)}%)`;
+    }
+}
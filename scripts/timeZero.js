@@ -0,0 +1,104 @@
+/**
+ * Time Zero Module
+ * Finds the ground surface (time zero) in a slice and aligns traces on it
+ *
+ * Antenna height and cable delays vary along a survey, so the surface
+ * reflection arrives at a slightly different sample in every trace. Picking
+ * the first break per trace and shifting each trace by its offset from the
+ * median pick puts the surface on one row, which depths are then measured from.
+ * The per-trace shifts are kept so positions picked on the aligned rows can be
+ * mapped back to the raw rows POIs and detection work in.
+ */
+
+import { createRows, median } from './rows.js';
+
+// Leading samples taken as the air-gap level the first break rises from
+const BACKGROUND_SAMPLES = 4;
+
+// Traces in the running median that smooths the picks (odd)
+const PICK_SMOOTHING = 9;
+
+/**
+ * First-break sample per trace: the first sample whose deviation from the
+ * leading background exceeds threshold x the trace's largest deviation
+ * Returns { picks: Float32Array per trace, zero: median pick }
+ */
+export function pickTimeZero(rows, { threshold = 0.3 } = {}) {
+    const height = rows.length;
+    const width = rows[0]?.length || 0;
+    const raw = new Float32Array(width);
+    const background = Math.min(BACKGROUND_SAMPLES, height);
+    
+    for (let x = 0; x < width; x++) {
+        let level = 0;
+        for (let y = 0; y < background; y++) level += rows[y][x];
+        level /= background || 1;
+        
+        let peak = 0;
+        for (let y = 0; y < height; y++) {
+            peak = Math.max(peak, Math.abs(rows[y][x] - level));
+        }
+        
+        let pick = 0;
+        if (peak > 0) {
+            while (pick < height - 1 && Math.abs(rows[pick][x] - level) < threshold * peak) pick++;
+        }
+        raw[x] = pick;
+    }
+    
+    const picks = runningMedian(raw, PICK_SMOOTHING);
+    return { picks, zero: Math.round(median(picks)) };
+}
+
+/**
+ * Shift each trace up by (pick - zero) samples so every pick lands on row
+ * `zero` (the median pick). Samples shifted in past either end repeat the edge value.
+ * Returns { rows, shifts }: aligned row y of trace x shows raw row y + shifts[x]
+ */
+export function alignTraces(rows, picks, zero) {
+    const height = rows.length;
+    const width = rows[0]?.length || 0;
+    const out = createRows(height, width);
+    const shifts = new Int32Array(width);
+    
+    for (let x = 0; x < width; x++) {
+        const shift = Math.round(picks[x]) - zero;
+        shifts[x] = shift;
+        for (let y = 0; y < height; y++) {
+            const source = Math.max(0, Math.min(height - 1, y + shift));
+            out[y][x] = rows[source][x];
+        }
+    }
+    return { rows: out, shifts };
+}
+
+/**
+ * Processing step (see processing.js): auto picks and aligns traces, manual
+ * takes the given sample as time zero without shifting
+ * Returns { rows, timeZero, shifts } (shifts from alignTraces, null for manual)
+ */
+export function timeZeroCorrection(rows, { method, threshold, sample }) {
+    if (method === 'manual') {
+        const zero = Math.max(0, Math.min(rows.length - 1, Math.round(sample)));
+        return { rows, timeZero: zero, shifts: null };
+    }
+    
+    const { picks, zero } = pickTimeZero(rows, { threshold });
+    return { ...alignTraces(rows, picks, zero), timeZero: zero };
+}
+
+// ===========================
+// Helpers
+// ===========================
+
+/**
+ * Median over a sliding window - drops single-trace mispicks
+ */
+function runningMedian(values, window) {
+    const half = window >> 1;
+    const out = new Float32Array(values.length);
+    for (let i = 0; i < values.length; i++) {
+        out[i] = median(values.subarray(Math.max(0, i - half), Math.min(values.length, i + half + 1)));
+    }
+    return out;
+}
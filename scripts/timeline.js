@@ -0,0 +1,164 @@
+/**
+ * Timeline Module
+ * Scrubber under the viewers spanning the recording time of the loaded survey
+ */
+
+// Slider resolution - positions across the recording
+const SLIDER_STEPS = 1000;
+
+/**
+ * Local HH:MM:SS - the format <input type="time" step="1"> expects
+ */
+function formatTime(ms) {
+    const date = new Date(ms);
+    return [date.getHours(), date.getMinutes(), date.getSeconds()]
+        .map(value => String(value).padStart(2, '0'))
+        .join(':');
+}
+
+/**
+ * Index of the track point recorded closest to a time (ms since epoch)
+ * Track timestamps increase along the track; returns -1 without timestamps
+ */
+export function findTrackIndexAtTime(track, time) {
+    if (!track || track.length === 0 || !track[0].timestamp) return -1;
+    
+    let lo = 0;
+    let hi = track.length - 1;
+    while (lo < hi) {
+        const mid = (lo + hi) >> 1;
+        if (Date.parse(track[mid].timestamp) < time) {
+            lo = mid + 1;
+        } else {
+            hi = mid;
+        }
+    }
+    
+    // lo is the first point at or after the time - the one before may be closer
+    if (lo > 0 && time - Date.parse(track[lo - 1].timestamp) < Date.parse(track[lo].timestamp) - time) {
+        return lo - 1;
+    }
+    return lo;
+}
+
+export class Timeline {
+    constructor() {
+        // Recording span in ms since epoch
+        this.start = null;
+        this.end = null;
+        
+        // Element references
+        this.elements = {
+            container: document.getElementById('timeline'),
+            slider: document.getElementById('timeline-slider'),
+            startLabel: document.getElementById('timeline-start'),
+            endLabel: document.getElementById('timeline-end'),
+            timeInput: document.getElementById('timeline-time')
+        };
+        
+        // Callbacks
+        this.onTimeSelect = null;
+        
+        this.init();
+    }
+    
+    init() {
+        if (this.elements.slider) {
+            this.elements.slider.max = SLIDER_STEPS;
+        }
+        
+        // Show the time while dragging, jump once released
+        this.elements.slider?.addEventListener('input', () => {
+            this.showTime(this.sliderTime());
+        });
+        this.elements.slider?.addEventListener('change', () => {
+            this.selectTime(this.sliderTime());
+        });
+        
+        this.elements.timeInput?.addEventListener('change', () => {
+            const time = this.parseTimeInput(this.elements.timeInput.value);
+            if (time !== null) {
+                this.setTime(time);
+                this.selectTime(time);
+            } else {
+                // Outside the recording - put the current time back
+                this.showTime(this.sliderTime());
+            }
+        });
+    }
+    
+    /**
+     * Set the recording span (ISO timestamps); hides the timeline if unknown
+     */
+    setRange(recordingStart, recordingEnd) {
+        const start = Date.parse(recordingStart);
+        const end = Date.parse(recordingEnd);
+        
+        if (isNaN(start) || isNaN(end) || end <= start) {
+            this.start = null;
+            this.end = null;
+            this.elements.container?.classList.add('hidden');
+            return;
+        }
+        
+        this.start = start;
+        this.end = end;
+        
+        if (this.elements.startLabel) {
+            this.elements.startLabel.textContent = formatTime(start);
+        }
+        if (this.elements.endLabel) {
+            this.elements.endLabel.textContent = formatTime(end);
+        }
+        this.elements.container?.classList.remove('hidden');
+        this.setTime(start);
+    }
+    
+    /**
+     * Move the slider to a time without triggering a jump
+     */
+    setTime(time) {
+        if (this.start === null) return;
+        
+        const t = (time - this.start) / (this.end - this.start);
+        if (this.elements.slider) {
+            this.elements.slider.value = Math.round(Math.max(0, Math.min(1, t)) * SLIDER_STEPS);
+        }
+        this.showTime(time);
+    }
+    
+    showTime(time) {
+        if (this.elements.timeInput) {
+            this.elements.timeInput.value = formatTime(time);
+        }
+    }
+    
+    sliderTime() {
+        const t = Number(this.elements.slider.value) / SLIDER_STEPS;
+        return this.start + t * (this.end - this.start);
+    }
+    
+    /**
+     * Resolve an HH:MM[:SS] input to a time within the recording,
+     * trying the following day for recordings that run past midnight
+     */
+    parseTimeInput(value) {
+        const match = /^(\d{1,2}):(\d{2})(?::(\d{2}))?$/.exec(value);
+        if (!match || this.start === null) return null;
+        
+        const candidate = new Date(this.start);
+        candidate.setHours(Number(match[1]), Number(match[2]), Number(match[3] || 0), 0);
+        
+        let time = candidate.getTime();
+        if (time < this.start) {
+            time += 24 * 60 * 60 * 1000;
+        }
+        return time <= this.end ? time : null;
+    }
+    
+    selectTime(time) {
+        if (this.onTimeSelect) {
+            this.onTimeSelect(new Date(time).toISOString());
+        }
+    }
+}
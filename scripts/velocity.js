@@ -0,0 +1,174 @@
+/**
+ * Velocity Module
+ * Wave velocity from diffraction hyperbolas, and velocity <-> dielectric conversions
+ *
+ * A point reflector at depth d under trace position X0 returns after the
+ * two-way time t(X) = sqrt(t0² + 4 (X - X0)² / v²), so picks along its
+ * hyperbola determine the velocity v of the ground above it.
+ */
+
+// Speed of light in m/ns
+export const SPEED_OF_LIGHT_M_PER_NS = 0.2998;
+
+/**
+ * Relative dielectric permittivity for a velocity in m/ns
+ */
+export function dielectricFromVelocity(velocity) {
+    return Math.pow(SPEED_OF_LIGHT_M_PER_NS / velocity, 2);
+}
+
+export function velocityFromDielectric(dielectric) {
+    return SPEED_OF_LIGHT_M_PER_NS / Math.sqrt(dielectric);
+}
+
+/**
+ * Along-track spacing of full-resolution traces in metres
+ * Uses metadata.trace_spacing_m, else the section length over its traces
+ */
+export function getTraceSpacing(metadata = {}) {
+    if (metadata.trace_spacing_m > 0) {
+        return metadata.trace_spacing_m;
+    }
+    
+    const traces = metadata.full_width || metadata.width;
+    const lengthM = (metadata.total_distance_km || 0) * 1000;
+    return traces > 1 && lengthM > 0 ? lengthM / (traces - 1) : null;
+}
+
+/**
+ * Least-squares hyperbola through picks in slice units
+ * points: [{ x: trace, y: sample }], at least 3
+ * geometry: { traceSpacingM, sampleIntervalNs, timeZero (surface sample) }
+ * Returns { x0, t0Ns, apexY, velocity, dielectric, depthM, rmsSamples }
+ *
+ * t² is quadratic in X: t² = A X² + B X + C with A = 4 / v²,
+ * so a linear fit of t² gives the velocity and apex directly.
+ */
+export function fitHyperbola(points, geometry) {
+    if (points.length < 3) {
+        throw new Error('Pick at least 3 points along the hyperbola');
+    }
+    
+    const { traceSpacingM, sampleIntervalNs, timeZero = 0 } = geometry;
+    
+    // Positions relative to the mean pick keep the sums well conditioned
+    const meanX = points.reduce((sum, point) => sum + point.x, 0) / points.length;
+    const toX = x => (x - meanX) * traceSpacingM;
+    const toT = y => (y - timeZero) * sampleIntervalNs;
+    
+    // Normal equations for t² = A X² + B X + C
+    const sums = new Float64Array(9);
+    const rhs = new Float64Array(3);
+    points.forEach(point => {
+        const X = toX(point.x);
+        const t = toT(point.y);
+        const basis = [X * X, X, 1];
+        for (let i = 0; i < 3; i++) {
+            for (let j = 0; j < 3; j++) {
+                sums[i * 3 + j] += basis[i] * basis[j];
+            }
+            rhs[i] += basis[i] * t * t;
+        }
+    });
+    
+    const solution = solve3(sums, rhs);
+    if (!solution) {
+        throw new Error('Picks are degenerate - spread them across both flanks of the hyperbola');
+    }
+    
+    const [A, B, C] = solution;
+    if (!(A > 0)) {
+        throw new Error('Picks do not follow a downward-opening hyperbola');
+    }
+    
+    const X0 = -B / (2 * A);
+    const t0Squared = C - A * X0 * X0;
+    if (!(t0Squared > 0)) {
+        throw new Error('Fitted apex lies above time zero - check the picks and time zero');
+    }
+    
+    const fit = createFit({
+        x0: meanX + X0 / traceSpacingM,
+        t0Ns: Math.sqrt(t0Squared),
+        velocity: 2 / Math.sqrt(A)
+    }, geometry);
+    
+    const residuals = points.map(point => point.y - hyperbolaSample(fit, point.x, geometry));
+    fit.rmsSamples = Math.sqrt(residuals.reduce((sum, r) => sum + r * r, 0) / residuals.length);
+    
+    if (fit.velocity > SPEED_OF_LIGHT_M_PER_NS) {
+        throw new Error(`Fitted velocity ${fit.velocity.toFixed(3)} m/ns is faster than light - check the trace spacing`);
+    }
+    return fit;
+}
+
+/**
+ * The same apex with a different velocity - for adjusting a fit by hand
+ */
+export function withVelocity(fit, velocity, geometry) {
+    return { ...createFit({ x0: fit.x0, t0Ns: fit.t0Ns, velocity }, geometry), rmsSamples: fit.rmsSamples };
+}
+
+/**
+ * Sample row of the hyperbola at trace x
+ */
+export function hyperbolaSample(fit, x, { traceSpacingM, sampleIntervalNs, timeZero = 0 }) {
+    const offset = (x - fit.x0) * traceSpacingM;
+    const t = Math.sqrt(fit.t0Ns * fit.t0Ns + 4 * offset * offset / (fit.velocity * fit.velocity));
+    return timeZero + t / sampleIntervalNs;
+}
+
+/**
+ * Points along the hyperbola for drawing, from its apex down to maxY
+ * Returns { x: [], y: [] } in slice units
+ */
+export function hyperbolaCurve(fit, geometry, maxY, maxTraces = 400) {
+    const x = [];
+    const y = [];
+    for (let dx = -maxTraces; dx <= maxTraces; dx++) {
+        const sample = hyperbolaSample(fit, fit.x0 + dx, geometry);
+        if (sample > maxY) continue;
+        x.push(fit.x0 + dx);
+        y.push(sample);
+    }
+    return { x, y };
+}
+
+// ===========================
+// Helpers
+// ===========================
+
+function createFit({ x0, t0Ns, velocity }, { sampleIntervalNs, timeZero = 0 }) {
+    return {
+        x0,
+        t0Ns,
+        apexY: timeZero + t0Ns / sampleIntervalNs,
+        velocity,
+        dielectric: dielectricFromVelocity(velocity),
+        depthM: velocity * t0Ns / 2,
+        rmsSamples: 0
+    };
+}
+
+/**
+ * Solve a 3x3 system (row-major matrix) by Cramer's rule; null if singular
+ */
+function solve3(m, b) {
+    const det = (a) =>
+        a[0] * (a[4] * a[8] - a[5] * a[7]) -
+        a[1] * (a[3] * a[8] - a[5] * a[6]) +
+        a[2] * (a[3] * a[7] - a[4] * a[6]);
+    
+    const d = det(m);
+    if (!Number.isFinite(d) || Math.abs(d) < 1e-12 * Math.max(1, Math.abs(m[0] * m[4] * m[8]))) {
+        return null;
+    }
+    
+    return [0, 1, 2].map(column => {
+        const replaced = Float64Array.from(m);
+        for (let row = 0; row < 3; row++) {
+            replaced[row * 3 + column] = b[row];
+        }
+        return det(replaced) / d;
+    });
+}
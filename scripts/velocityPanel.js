@@ -0,0 +1,208 @@
+/**
+ * Velocity Panel Module
+ * Sidebar tool for velocity calibration: pick points along a hyperbola in
+ * either viewer, see the fitted curve over the data, adjust the velocity by
+ * hand and apply it to every depth shown (see velocity.js)
+ */
+
+import {
+    SPEED_OF_LIGHT_M_PER_NS,
+    dielectricFromVelocity,
+    fitHyperbola,
+    withVelocity,
+    hyperbolaCurve
+} from './velocity.js';
+
+export class VelocityPanel {
+    constructor() {
+        // Picks in slice units ({ x: trace, y: sample }) and the fit through them
+        this.points = [];
+        this.fit = null;
+        
+        // Slice geometry for fitting: { traceSpacingM, sampleIntervalNs, timeZero, height }
+        this.geometry = null;
+        
+        // Velocity in use for depths (null = metadata depth range)
+        this.applied = null;
+        
+        // Element references
+        this.elements = {
+            pickBtn: document.getElementById('velocity-pick-btn'),
+            clearBtn: document.getElementById('velocity-clear-btn'),
+            input: document.getElementById('velocity-input'),
+            dielectric: document.getElementById('velocity-dielectric'),
+            applyBtn: document.getElementById('velocity-apply-btn'),
+            resetBtn: document.getElementById('velocity-reset-btn'),
+            status: document.getElementById('velocity-status')
+        };
+        
+        // Callbacks
+        this.onOverlayChange = null;
+        this.onApply = null;
+        
+        this.init();
+    }
+    
+    init() {
+        this.elements.pickBtn?.addEventListener('click', () => {
+            this.setPicking(!this.isPicking());
+        });
+        
+        this.elements.clearBtn?.addEventListener('click', () => {
+            this.clearPoints();
+        });
+        
+        this.elements.input?.addEventListener('input', () => {
+            this.handleVelocityEdit();
+        });
+        
+        this.elements.applyBtn?.addEventListener('click', () => {
+            this.apply();
+        });
+        
+        this.elements.resetBtn?.addEventListener('click', () => {
+            this.applied = null;
+            this.setStatus('Depths use the survey depth range');
+            if (this.onApply) {
+                this.onApply(null);
+            }
+        });
+        
+        this.refit();
+    }
+    
+    isPicking() {
+        return this.elements.pickBtn?.classList.contains('active') || false;
+    }
+    
+    setPicking(active) {
+        this.elements.pickBtn?.classList.toggle('active', active);
+        if (active) {
+            this.setStatus(this.geometry
+                ? 'Click along both flanks of a hyperbola (3 or more points)'
+                : 'Load data to calibrate');
+        }
+    }
+    
+    /**
+     * Slice geometry the picks are fitted in; null while nothing is loaded
+     * Refits the current picks, e.g. after time zero moves
+     */
+    setGeometry(geometry) {
+        this.geometry = geometry;
+        this.refit();
+    }
+    
+    addPoint(x, y) {
+        if (!this.geometry) {
+            this.setStatus('Trace spacing unknown - cannot fit this slice', true);
+            return;
+        }
+        
+        this.points.push({ x, y });
+        this.refit();
+    }
+    
+    clearPoints() {
+        this.points = [];
+        this.refit();
+    }
+    
+    // ===========================
+    // Fitting
+    // ===========================
+    
+    refit() {
+        this.fit = null;
+        
+        if (this.geometry && this.points.length >= 3) {
+            try {
+                this.fit = fitHyperbola(this.points, this.geometry);
+                if (this.elements.input) {
+                    this.elements.input.value = this.fit.velocity.toFixed(4);
+                }
+                this.showFit();
+            } catch (error) {
+                this.setStatus(error.message, true);
+            }
+        } else if (this.points.length > 0) {
+            this.setStatus(`${this.points.length} of at least 3 points picked`);
+        } else {
+            this.setStatus('Pick points along a hyperbola to fit a velocity');
+        }
+        
+        this.updateDielectric();
+        this.emitOverlay();
+    }
+    
+    /**
+     * Velocity typed in: redraw the hyperbola with the same apex
+     */
+    handleVelocityEdit() {
+        const velocity = this.readVelocity();
+        this.updateDielectric();
+        if (velocity === null || !this.fit || !this.geometry) return;
+        
+        this.fit = withVelocity(this.fit, velocity, this.geometry);
+        this.showFit();
+        this.emitOverlay();
+    }
+    
+    apply() {
+        const velocity = this.readVelocity();
+        if (velocity === null) {
+            this.setStatus(`Velocity must be between 0 and ${SPEED_OF_LIGHT_M_PER_NS} m/ns`, true);
+            return;
+        }
+        
+        this.applied = velocity;
+        this.setStatus(`Depths use v = ${velocity.toFixed(4)} m/ns (εr ${dielectricFromVelocity(velocity).toFixed(1)})`);
+        if (this.onApply) {
+            this.onApply(velocity);
+        }
+    }
+    
+    emitOverlay() {
+        if (!this.onOverlayChange) return;
+        
+        if (this.points.length === 0) {
+            this.onOverlayChange(null);
+            return;
+        }
+        
+        this.onOverlayChange({
+            points: { x: this.points.map(p => p.x), y: this.points.map(p => p.y) },
+            curve: this.fit ? hyperbolaCurve(this.fit, this.geometry, this.geometry.height - 1) : null
+        });
+    }
+    
+    // ===========================
+    // Display
+    // ===========================
+    
+    readVelocity() {
+        const velocity = parseFloat(this.elements.input?.value);
+        return velocity > 0 && velocity <= SPEED_OF_LIGHT_M_PER_NS ? velocity : null;
+    }
+    
+    updateDielectric() {
+        if (!this.elements.dielectric) return;
+        
+        const velocity = this.readVelocity();
+        this.elements.dielectric.textContent = velocity !== null
+            ? dielectricFromVelocity(velocity).toFixed(2)
+            : '--';
+    }
+    
+    showFit() {
+        const { x0, depthM, rmsSamples } = this.fit;
+        this.setStatus(`Apex at trace ${Math.round(x0)}, ${depthM.toFixed(2)} m deep | fit RMS ${rmsSamples.toFixed(1)} samples`);
+    }
+    
+    setStatus(message, isError = false) {
+        if (this.elements.status) {
+            this.elements.status.textContent = message;
+            this.elements.status.classList.toggle('error', isError);
+        }
+    }
+}
@@ -0,0 +1,222 @@
+/**
+ * Worker Pool Module
+ * Runs heavy data tasks (see workerTasks.js) in Web Workers so the page
+ * stays responsive, with progress reports and cancellation
+ *
+ * Falls back to running tasks on the main thread where module workers are
+ * unavailable (older browsers, pages opened from file://).
+ */
+
+import { TASKS } from './workerTasks.js';
+
+const WORKER_URL = new URL('./dataWorker.js', import.meta.url);
+
+// Leave a core for the page; more workers than this rarely helps
+const MAX_WORKERS = 4;
+
+function defaultPoolSize() {
+    const cores = globalThis.navigator?.hardwareConcurrency || 2;
+    return Math.max(1, Math.min(MAX_WORKERS, cores - 1));
+}
+
+function abortError() {
+    return new DOMException('Task cancelled', 'AbortError');
+}
+
+export class WorkerPool {
+    constructor(size = defaultPoolSize()) {
+        this.size = size;
+        this.useWorkers = typeof Worker !== 'undefined';
+        
+        this.idle = [];
+        this.busy = new Map(); // worker -> job
+        this.ready = new WeakSet(); // workers that have loaded
+        this.queue = [];
+        this.nextId = 1;
+    }
+    
+    /**
+     * Run a task; resolves with its result
+     * options: { transfer: buffers to hand over, onProgress(fraction), signal: AbortSignal }
+     */
+    run(task, payload, { transfer = [], onProgress = null, signal = null } = {}) {
+        if (!TASKS[task]) {
+            return Promise.reject(new Error(`Unknown worker task: ${task}`));
+        }
+        if (signal?.aborted) {
+            return Promise.reject(abortError());
+        }
+        
+        return new Promise((resolve, reject) => {
+            const job = { id: this.nextId++, task, payload, transfer, onProgress, resolve, reject, worker: null, transferred: false, done: false };
+            signal?.addEventListener('abort', () => this.cancel(job), { once: true });
+            
+            this.queue.push(job);
+            this.dispatch();
+        });
+    }
+    
+    /**
+     * Stop all workers and reject everything pending
+     */
+    terminate() {
+        [...this.queue, ...this.busy.values()].forEach(job => this.finish(job, abortError()));
+        [...this.idle, ...this.busy.keys()].forEach(worker => worker.terminate());
+        this.queue = [];
+        this.idle = [];
+        this.busy.clear();
+    }
+    
+    // ===========================
+    // Scheduling
+    // ===========================
+    
+    dispatch() {
+        while (this.queue.length > 0) {
+            if (!this.useWorkers) {
+                this.runInline(this.queue.shift());
+                continue;
+            }
+            
+            const worker = this.idle.pop() || (this.busy.size < this.size ? this.spawn() : null);
+            if (!worker) {
+                if (!this.useWorkers) continue; // spawn failed - run inline instead
+                return;
+            }
+            
+            const job = this.queue.shift();
+            job.worker = worker;
+            this.busy.set(worker, job);
+            
+            // Copy rather than transfer until the worker has loaded, so the
+            // payload is still intact if the worker fails and the job runs inline
+            const transfer = this.ready.has(worker) ? job.transfer : [];
+            job.transferred = transfer.length > 0;
+            worker.postMessage({ id: job.id, task: job.task, payload: job.payload }, transfer);
+        }
+    }
+    
+    spawn() {
+        try {
+            const worker = new Worker(WORKER_URL, { type: 'module' });
+            worker.onmessage = (event) => this.handleMessage(worker, event.data);
+            worker.onerror = (event) => this.handleWorkerError(worker, event);
+            return worker;
+        } catch (error) {
+            this.disableWorkers(error.message);
+            return null;
+        }
+    }
+    
+    cancel(job) {
+        if (job.done) return;
+        
+        if (job.worker) {
+            // Tasks can't be interrupted - drop the worker, a fresh one takes its place
+            this.busy.delete(job.worker);
+            job.worker.terminate();
+        } else {
+            this.queue = this.queue.filter(queued => queued !== job);
+        }
+        
+        this.finish(job, abortError());
+        this.dispatch();
+    }
+    
+    // ===========================
+    // Results
+    // ===========================
+    
+    handleMessage(worker, message) {
+        if (message.ready) {
+            this.ready.add(worker);
+            return;
+        }
+        
+        const job = this.busy.get(worker);
+        if (!job || job.id !== message.id) return;
+        
+        if (message.progress !== undefined) {
+            if (job.onProgress) {
+                job.onProgress(message.progress);
+            }
+            return;
+        }
+        
+        this.busy.delete(worker);
+        this.idle.push(worker);
+        this.finish(job, message.error, message.result);
+        this.dispatch();
+    }
+    
+    /**
+     * A worker failed to load or crashed - run this and all later tasks inline
+     * A job whose buffers were transferred is rejected instead: the worker took
+     * them along, leaving detached (empty) buffers behind.
+     */
+    handleWorkerError(worker, event) {
+        event.preventDefault();
+        
+        const job = this.busy.get(worker);
+        this.busy.delete(worker);
+        worker.terminate();
+        
+        const reason = event.message || 'worker failed to load';
+        if (job?.transferred) {
+            this.finish(job, new Error(`Worker crashed while running ${job.task}: ${reason}`));
+        } else if (job) {
+            job.worker = null;
+            this.queue.unshift(job);
+        }
+        this.disableWorkers(reason);
+        this.dispatch();
+    }
+    
+    disableWorkers(reason) {
+        if (!this.useWorkers) return;
+        
+        console.warn(`Data workers unavailable (${reason}) - processing on the main thread`);
+        this.useWorkers = false;
+        this.idle.forEach(worker => worker.terminate());
+        this.idle = [];
+    }
+    
+    async runInline(job) {
+        try {
+            const result = await TASKS[job.task](job.payload, (progress) => {
+                if (!job.done && job.onProgress) {
+                    job.onProgress(progress);
+                }
+            });
+            this.finish(job, null, result);
+        } catch (error) {
+            this.finish(job, error);
+        }
+    }
+    
+    finish(job, error, result) {
+        if (job.done) return;
+        job.done = true;
+        
+        if (error) {
+            // Errors from workers arrive as plain { name, message } objects
+            job.reject(error instanceof Error || error instanceof DOMException
+                ? error
+                : Object.assign(new Error(error.message), { name: error.name }));
+        } else {
+            job.resolve(result);
+        }
+    }
+}
+
+let sharedPool = null;
+
+/**
+ * Pool shared by the whole app, created on first use
+ */
+export function getWorkerPool() {
+    if (!sharedPool) {
+        sharedPool = new WorkerPool();
+    }
+    return sharedPool;
+}
@@ -0,0 +1,88 @@
+/**
+ * Worker Tasks Module
+ * Heavy data jobs run by the worker pool (see workerPool.js)
+ *
+ * A task takes (payload, reportProgress) and returns its result. Slice rows
+ * come back packed into one typed array (`samples`) so the buffer can be
+ * transferred instead of copied; unpackRows turns it back into rows.
+ */
+
+import { generateMockDataset } from './mockData.js';
+import { decodeSliceBinary } from './sliceFormat.js';
+import { applyPipeline } from './processing.js';
+import { detectTargets } from './detection.js';
+
+export const TASKS = {
+    /**
+     * Sample dataset for a scenario (see mockData.js) - gpr_data is returned as samples
+     */
+    generateDataset({ scenario = {} }, reportProgress) {
+        const { gpr_data, ...dataset } = generateMockDataset(scenario, { onProgress: reportProgress });
+        return { ...dataset, samples: packRows(gpr_data) };
+    },
+    
+    /**
+     * Binary slice response (see sliceFormat.js) - data is returned as samples
+     */
+    decodeSlice(buffer) {
+        const { data, ...slice } = decodeSliceBinary(buffer);
+        return { ...slice, samples: packRows(data) };
+    },
+    
+    /**
+     * Processing chain (see processing.js) over packed samples
+     * timeZero is the surface sample if the chain set one, else null; rowShifts
+     * map aligned rows back to raw ones (see applyPipeline)
+     */
+    processSlice({ samples, width, height, steps, sampling, xCoords }, reportProgress) {
+        const { rows, timeZero, rowShifts } = applyPipeline(unpackRows(samples, width, height), steps, { sampling, xCoords, onProgress: reportProgress });
+        return { samples: packRows(rows), timeZero, rowShifts };
+    },
+    
+    /**
+     * Target detection (see detection.js) over packed samples
+     */
+    detectTargets({ samples, width, height, options }) {
+        return { candidates: detectTargets(unpackRows(samples, width, height), options) };
+    }
+};
+
+/**
+ * One typed array holding all rows back to back
+ * Rows that are already consecutive views of one buffer are not copied
+ */
+export function packRows(rows) {
+    const height = rows.length;
+    const width = height > 0 ? rows[0].length : 0;
+    const first = rows[0];
+    
+    if (ArrayBuffer.isView(first)) {
+        const contiguous = rows.every((row, y) =>
+            row.buffer === first.buffer && row.byteOffset === first.byteOffset + y * width * first.BYTES_PER_ELEMENT);
+        if (contiguous) {
+            return new first.constructor(first.buffer, first.byteOffset, width * height);
+        }
+    }
+    
+    const samples = new Float32Array(width * height);
+    rows.forEach((row, y) => samples.set(row, y * width));
+    return samples;
+}
+
+/**
+ * Rows (views, no copy) of packed samples
+ */
+export function unpackRows(samples, width, height) {
+    const rows = [];
+    for (let y = 0; y < height; y++) {
+        rows.push(samples.subarray(y * width, (y + 1) * width));
+    }
+    return rows;
+}
+
+/**
+ * Buffers a task result can hand over without copying
+ */
+export function transferablesOf(result) {
+    return ArrayBuffer.isView(result?.samples) ? [result.samples.buffer] : [];
+}
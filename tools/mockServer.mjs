@@ -0,0 +1,591 @@
+/**
+ * Mock Backend Server
+ * Standalone stand-in for the GPR backend, serving the REST contract the app
+ * uses (see scripts/api.js) from the mockData.js generators
+ *
+ * Usage: node tools/mockServer.mjs [--port 8000] [--data <pois.json>]
+ *
+ * Serves /health at the root and everything else under /api, matching the
+ * default backend profile (http://localhost:8000/api):
+ *   GET    /api/gpr/dates
+ *   GET    /api/gpr/slice?date&start_lat&start_lon&end_lat&end_lon&zoom_level&format
+ *   GET    /api/gpr/bounds?date
+ *   GET    /api/gps/track?date
+ *   GET    /api/gps/location-at-time?date&time
+ *   GET    /api/poi/?date&min_slice_x&max_slice_x&type
+ *   POST   /api/poi/
+ *   GET    /api/poi/types/list
+ *   GET    /api/poi/{id}, PUT /api/poi/{id}, DELETE /api/poi/{id}
+ *   GET    /api/live/stream (Server-Sent Events)
+ *
+ * POIs are kept in a JSON file so they survive restarts.
+ * Uses Node built-ins only - no install step.
+ */
+
+import { createServer } from 'node:http';
+import { existsSync, mkdirSync, readFileSync, writeFileSync } from 'node:fs';
+import { dirname, resolve } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { parseArgs } from 'node:util';
+
+import { generateMockDataset, getMockPOIs, startMockLiveStream } from '../scripts/mockData.js';
+
+const ROOT = resolve(dirname(fileURLToPath(import.meta.url)), '..');
+
+const { values: options } = parseArgs({
+    options: {
+        port: { type: 'string', default: process.env.PORT || '8000' },
+        data: { type: 'string', default: resolve(ROOT, '.mock-server', 'pois.json') }
+    }
+});
+
+const API_PREFIX = '/api';
+
+// Survey dates served; every date gets its own generated survey of the sample route
+const SURVEY_DATES = ['2025-06-15', '2025-06-16', '2025-07-02'];
+
+// Date the sample POIs were marked on
+const SAMPLE_POI_DATE = '2025-06-15';
+
+const POI_TYPES = [
+    { value: 'culvert', label: 'Culvert' },
+    { value: 'pipe', label: 'Pipe' },
+    { value: 'void', label: 'Void' },
+    { value: 'anomaly', label: 'Anomaly' },
+    { value: 'other', label: 'Other' }
+];
+
+/**
+ * Error answered as { detail } with an HTTP status, like the real backend
+ */
+class HttpError extends Error {
+    constructor(status, detail) {
+        super(detail);
+        this.status = status;
+    }
+}
+
+// ===========================
+// Survey Data
+// ===========================
+
+const surveys = new Map();
+
+/**
+ * Generated survey for a date, created on first use and kept for the server's lifetime
+ */
+function getSurvey(date) {
+    if (!date) {
+        throw new HttpError(400, 'Query parameter "date" is required');
+    }
+    if (!SURVEY_DATES.includes(date)) {
+        throw new HttpError(404, `No survey data for ${date}`);
+    }
+    
+    if (!surveys.has(date)) {
+        // Seeded from the date, so restarts serve the same data
+        surveys.set(date, generateMockDataset({
+            seed: Number(date.replace(/-/g, '')),
+            startTime: `${date}T08:00:00Z`
+        }));
+    }
+    return surveys.get(date);
+}
+
+function trackBounds(track) {
+    const lats = track.map(point => point.lat);
+    const lons = track.map(point => point.lon);
+    return {
+        min_lat: Math.min(...lats),
+        max_lat: Math.max(...lats),
+        min_lon: Math.min(...lons),
+        max_lon: Math.max(...lons)
+    };
+}
+
+/**
+ * Fractional track index closest to a coordinate, projected onto the
+ * segments either side of the nearest track point
+ */
+function locateOnTrack(track, lat, lon) {
+    let nearest = 0;
+    let nearestDistance = Infinity;
+    track.forEach((point, i) => {
+        const distance = (point.lat - lat) ** 2 + (point.lon - lon) ** 2;
+        if (distance < nearestDistance) {
+            nearest = i;
+            nearestDistance = distance;
+        }
+    });
+    
+    let best = nearest;
+    let bestDistance = nearestDistance;
+    for (const [from, to] of [[nearest - 1, nearest], [nearest, nearest + 1]]) {
+        if (from < 0 || to >= track.length) continue;
+        
+        const a = track[from];
+        const b = track[to];
+        const dLat = b.lat - a.lat;
+        const dLon = b.lon - a.lon;
+        const lengthSq = dLat * dLat + dLon * dLon;
+        if (lengthSq === 0) continue;
+        
+        const t = Math.max(0, Math.min(1, ((lat - a.lat) * dLat + (lon - a.lon) * dLon) / lengthSq));
+        const distance = (a.lat + dLat * t - lat) ** 2 + (a.lon + dLon * t - lon) ** 2;
+        if (distance < bestDistance) {
+            best = from + t;
+            bestDistance = distance;
+        }
+    }
+    return best;
+}
+
+/**
+ * Coordinates at a fractional track index
+ */
+function pointAtIndex(track, index) {
+    const i = Math.min(Math.floor(index), track.length - 2);
+    const t = index - i;
+    const a = track[i];
+    const b = track[i + 1];
+    return {
+        lat: a.lat + (b.lat - a.lat) * t,
+        lon: a.lon + (b.lon - a.lon) * t
+    };
+}
+
+// ===========================
+// GPR Endpoints
+// ===========================
+
+function getDates() {
+    return {
+        dates: SURVEY_DATES.map(date => {
+            const survey = getSurvey(date);
+            return {
+                date,
+                survey_count: 1,
+                total_distance_km: survey.metadata.total_distance_km,
+                bounds: trackBounds(survey.gps_track)
+            };
+        })
+    };
+}
+
+function getBounds(query) {
+    const survey = getSurvey(query.get('date'));
+    const track = survey.gps_track;
+    return {
+        date: survey.date,
+        ...trackBounds(track),
+        start_lat: track[0].lat,
+        start_lon: track[0].lon,
+        end_lat: track[track.length - 1].lat,
+        end_lon: track[track.length - 1].lon
+    };
+}
+
+/**
+ * Section of the survey between two coordinates, decimated by zoom_level
+ * (each output trace is the mean of zoom_level traces)
+ */
+function getSlice(query) {
+    const survey = getSurvey(query.get('date'));
+    const track = survey.gps_track;
+    
+    const coords = ['start_lat', 'start_lon', 'end_lat', 'end_lon'].map(name => {
+        const value = Number(query.get(name));
+        if (query.get(name) === null || !Number.isFinite(value)) {
+            throw new HttpError(400, `Query parameter "${name}" must be a number`);
+        }
+        return value;
+    });
+    
+    const zoomLevel = Number(query.get('zoom_level') ?? 1);
+    if (!Number.isInteger(zoomLevel) || zoomLevel < 1) {
+        throw new HttpError(400, `zoom_level must be a positive integer, got ${query.get('zoom_level')}`);
+    }
+    
+    // Track index -> trace column, both running along the route
+    const tracesPerIndex = (survey.width - 1) / (track.length - 1);
+    const fromIndex = locateOnTrack(track, coords[0], coords[1]);
+    const toIndex = locateOnTrack(track, coords[2], coords[3]);
+    const startIndex = Math.min(fromIndex, toIndex);
+    const endIndex = Math.max(fromIndex, toIndex);
+    const firstTrace = Math.round(startIndex * tracesPerIndex);
+    const lastTrace = Math.round(endIndex * tracesPerIndex);
+    
+    const fullWidth = lastTrace - firstTrace + 1;
+    if (fullWidth < 2) {
+        throw new HttpError(400, 'Section is too short - start and end resolve to the same trace');
+    }
+    
+    const width = Math.ceil(fullWidth / zoomLevel);
+    const data = survey.gpr_data.map(row => {
+        const out = new Array(width);
+        for (let x = 0; x < width; x++) {
+            const from = firstTrace + x * zoomLevel;
+            const to = Math.min(from + zoomLevel, lastTrace + 1);
+            let sum = 0;
+            for (let i = from; i < to; i++) {
+                sum += row[i];
+            }
+            out[x] = Math.round(sum / (to - from));
+        }
+        return out;
+    });
+    
+    const start = pointAtIndex(track, firstTrace / tracesPerIndex);
+    const end = pointAtIndex(track, lastTrace / tracesPerIndex);
+    const sectionTrack = track.slice(Math.floor(startIndex), Math.ceil(endIndex) + 1);
+    const first = sectionTrack[0];
+    const last = sectionTrack[sectionTrack.length - 1];
+    
+    return {
+        date: survey.date,
+        line_id: query.get('line_id'),
+        start_lat: start.lat,
+        start_lon: start.lon,
+        end_lat: end.lat,
+        end_lon: end.lon,
+        width,
+        height: survey.height,
+        data,
+        gps_track: sectionTrack,
+        metadata: {
+            ...survey.metadata,
+            total_distance_km: last.distance_km - first.distance_km,
+            total_distance_miles: last.distance_miles - first.distance_miles,
+            recording_start: first.timestamp,
+            recording_end: last.timestamp,
+            full_width: fullWidth,
+            zoom_level: zoomLevel,
+            first_trace: firstTrace
+        }
+    };
+}
+
+/**
+ * Binary slice layout from scripts/sliceFormat.js: uint32 header length,
+ * JSON header, padding to 4 bytes, then int16 samples row by row
+ */
+function encodeSliceBinary(slice) {
+    const { data, ...header } = slice;
+    header.dtype = 'int16';
+    header.depth_range_m = slice.metadata.depth_range_m;
+    
+    const headerBytes = Buffer.from(JSON.stringify(header), 'utf8');
+    const dataOffset = Math.ceil((4 + headerBytes.length) / 4) * 4;
+    const buffer = Buffer.alloc(dataOffset + slice.width * slice.height * 2);
+    
+    buffer.writeUInt32LE(headerBytes.length, 0);
+    headerBytes.copy(buffer, 4);
+    data.forEach((row, y) => {
+        row.forEach((value, x) => {
+            buffer.writeInt16LE(value, dataOffset + (y * slice.width + x) * 2);
+        });
+    });
+    return buffer;
+}
+
+// ===========================
+// GPS Endpoints
+// ===========================
+
+/**
+ * Full track of the survey date - section parameters are accepted but ignored
+ */
+function getTrack(query) {
+    const survey = getSurvey(query.get('date'));
+    return { date: survey.date, points: survey.gps_track };
+}
+
+/**
+ * Track point recorded closest to a time within the recording
+ */
+function getLocationAtTime(query) {
+    const survey = getSurvey(query.get('date'));
+    const time = Date.parse(query.get('time'));
+    if (isNaN(time)) {
+        throw new HttpError(400, `Query parameter "time" must be an ISO timestamp, got ${query.get('time')}`);
+    }
+    
+    const track = survey.gps_track;
+    const start = Date.parse(track[0].timestamp);
+    const end = Date.parse(track[track.length - 1].timestamp);
+    if (time < start || time > end) {
+        throw new HttpError(404, `No GPS fix at ${query.get('time')} - recording runs ${track[0].timestamp} to ${track[track.length - 1].timestamp}`);
+    }
+    
+    let nearest = track[0];
+    for (const point of track) {
+        if (Math.abs(Date.parse(point.timestamp) - time) < Math.abs(Date.parse(nearest.timestamp) - time)) {
+            nearest = point;
+        }
+    }
+    return nearest;
+}
+
+// ===========================
+// POI Store
+// ===========================
+
+/**
+ * POIs persisted to a JSON file, seeded with the sample POIs on first run
+ * slice_x is the absolute trace in the date's survey (a slice's
+ * metadata.first_trace plus its column), so range filters pick one section.
+ */
+class POIStore {
+    constructor(path) {
+        this.path = path;
+        this.pois = [];
+        this.nextId = 1;
+        this.load();
+    }
+    
+    load() {
+        if (existsSync(this.path)) {
+            try {
+                const stored = JSON.parse(readFileSync(this.path, 'utf8'));
+                this.pois = stored.pois || [];
+                this.nextId = stored.next_id || this.pois.length + 1;
+                return;
+            } catch (error) {
+                console.warn(`Ignoring unreadable POI file ${this.path}:`, error.message);
+            }
+        }
+        
+        this.pois = getMockPOIs().map(poi => ({ ...poi, date: SAMPLE_POI_DATE }));
+        this.nextId = this.pois.length + 1;
+        this.save();
+    }
+    
+    save() {
+        mkdirSync(dirname(this.path), { recursive: true });
+        writeFileSync(this.path, JSON.stringify({ next_id: this.nextId, pois: this.pois }, null, 2));
+    }
+    
+    list(query) {
+        const date = query.get('date');
+        const type = query.get('type');
+        const minX = query.get('min_slice_x');
+        const maxX = query.get('max_slice_x');
+        
+        return this.pois.filter(poi =>
+            (!date || poi.date === date) &&
+            (!type || poi.type === type) &&
+            (minX === null || poi.slice_x >= Number(minX)) &&
+            (maxX === null || poi.slice_x <= Number(maxX)));
+    }
+    
+    get(id) {
+        const poi = this.pois.find(p => String(p.id) === id);
+        if (!poi) {
+            throw new HttpError(404, `POI ${id} not found`);
+        }
+        return poi;
+    }
+    
+    create(fields) {
+        validatePOIFields(fields, true);
+        
+        const { id, ...rest } = fields;
+        const poi = {
+            ...rest,
+            id: `poi-${this.nextId++}`,
+            created_at: new Date().toISOString()
+        };
+        this.pois.push(poi);
+        this.save();
+        return poi;
+    }
+    
+    update(id, fields) {
+        validatePOIFields(fields, false);
+        
+        const poi = this.get(id);
+        const { id: ignored, created_at, ...rest } = fields;
+        Object.assign(poi, rest, { updated_at: new Date().toISOString() });
+        this.save();
+        return poi;
+    }
+    
+    remove(id) {
+        const poi = this.get(id);
+        this.pois = this.pois.filter(p => p !== poi);
+        this.save();
+    }
+}
+
+/**
+ * Reject POI bodies the app could not display; required fields only on create
+ */
+function validatePOIFields(fields, isCreate) {
+    if (!fields || typeof fields !== 'object' || Array.isArray(fields)) {
+        throw new HttpError(422, 'Request body must be a JSON object');
+    }
+    
+    const present = (name) => fields[name] !== undefined;
+    if (isCreate || present('type')) {
+        if (!POI_TYPES.some(type => type.value === fields.type)) {
+            throw new HttpError(422, `type must be one of ${POI_TYPES.map(type => type.value).join(', ')}`);
+        }
+    }
+    for (const name of ['slice_x', 'slice_y']) {
+        if ((isCreate || present(name)) && !(typeof fields[name] === 'number' && fields[name] >= 0)) {
+            throw new HttpError(422, `${name} must be a non-negative number`);
+        }
+    }
+}
+
+// ===========================
+// Live Stream
+// ===========================
+
+/**
+ * Server-Sent Events stream of simulated acquisition, one message per event
+ */
+function streamLive(request, response) {
+    response.writeHead(200, {
+        ...corsHeaders(request),
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        'Connection': 'keep-alive'
+    });
+    
+    const stop = startMockLiveStream((message) => {
+        response.write(`data: ${JSON.stringify(message)}\n\n`);
+    });
+    request.on('close', stop);
+}
+
+// ===========================
+// HTTP Handling
+// ===========================
+
+const poiStore = new POIStore(resolve(options.data));
+
+function corsHeaders(request) {
+    return {
+        'Access-Control-Allow-Origin': request.headers.origin || '*',
+        'Access-Control-Allow-Methods': 'GET, POST, PUT, DELETE, OPTIONS',
+        'Access-Control-Allow-Headers': request.headers['access-control-request-headers'] || 'Content-Type, Authorization',
+        'Vary': 'Origin'
+    };
+}
+
+function sendJSON(request, response, status, body) {
+    response.writeHead(status, { ...corsHeaders(request), 'Content-Type': 'application/json' });
+    response.end(JSON.stringify(body));
+}
+
+async function readJSONBody(request) {
+    let body = '';
+    for await (const chunk of request) {
+        body += chunk;
+    }
+    try {
+        return JSON.parse(body || 'null');
+    } catch {
+        throw new HttpError(400, 'Request body is not valid JSON');
+    }
+}
+
+/**
+ * Route a request; returns the JSON body, or undefined if the response was already sent
+ */
+async function route(request, response, path, query) {
+    const method = request.method;
+    
+    if (path === '/health' || path === `${API_PREFIX}/health`) {
+        return { status: 'ok', service: 'gpr-mock-backend', poi_count: poiStore.pois.length };
+    }
+    if (!path.startsWith(`${API_PREFIX}/`)) {
+        throw new HttpError(404, `Not found: ${path}`);
+    }
+    
+    const endpoint = path.slice(API_PREFIX.length);
+    
+    if (method === 'GET') {
+        switch (endpoint) {
+            case '/gpr/dates':
+                return getDates();
+            case '/gpr/bounds':
+                return getBounds(query);
+            case '/gpr/slice': {
+                const slice = getSlice(query);
+                if (query.get('format') === 'binary') {
+                    response.writeHead(200, { ...corsHeaders(request), 'Content-Type': 'application/octet-stream' });
+                    response.end(encodeSliceBinary(slice));
+                    return undefined;
+                }
+                return slice;
+            }
+            case '/gps/track':
+                return getTrack(query);
+            case '/gps/location-at-time':
+                return getLocationAtTime(query);
+            case '/poi/':
+            case '/poi':
+                return poiStore.list(query);
+            case '/poi/types/list':
+                return POI_TYPES;
+            case '/live/stream':
+                streamLive(request, response);
+                return undefined;
+        }
+    }
+    
+    if (method === 'POST' && (endpoint === '/poi/' || endpoint === '/poi')) {
+        const poi = poiStore.create(await readJSONBody(request));
+        sendJSON(request, response, 201, poi);
+        return undefined;
+    }
+    
+    const poiMatch = /^\/poi\/([^/]+)$/.exec(endpoint);
+    if (poiMatch) {
+        const id = decodeURIComponent(poiMatch[1]);
+        switch (method) {
+            case 'GET':
+                return poiStore.get(id);
+            case 'PUT':
+                return poiStore.update(id, await readJSONBody(request));
+            case 'DELETE':
+                poiStore.remove(id);
+                response.writeHead(204, corsHeaders(request));
+                response.end();
+                return undefined;
+        }
+    }
+    
+    throw new HttpError(404, `Not found: ${method} ${path}`);
+}
+
+const server = createServer(async (request, response) => {
+    const url = new URL(request.url, `http://${request.headers.host || 'localhost'}`);
+    
+    if (request.method === 'OPTIONS') {
+        response.writeHead(204, corsHeaders(request));
+        response.end();
+        return;
+    }
+    
+    try {
+        const body = await route(request, response, url.pathname, url.searchParams);
+        if (body !== undefined) {
+            sendJSON(request, response, 200, body);
+        }
+    } catch (error) {
+        const status = error instanceof HttpError ? error.status : 500;
+        if (status === 500) {
+            console.error(`${request.method} ${url.pathname} failed:`, error);
+        }
+        sendJSON(request, response, status, { detail: error.message });
+    }
+    
+    console.log(`${request.method} ${url.pathname}${url.search} -> ${response.statusCode}`);
+});
+
+server.listen(Number(options.port), () => {
+    console.log(`Mock GPR backend on http://localhost:${options.port}${API_PREFIX} (POIs in ${poiStore.path})`);
+});